@@ -6,7 +6,7 @@
  * - Landing page with typewriter effect and main actions
  * - About page with tabbed content
  * - File upload and listing views
- * - Plagiarism check placeholder
+ * - Plagiarism check against stamped images (perceptual hash similarity search)
  * - File verification page
  * - Notifications view
  * - Floating chat icon and interactive chatbot
@@ -21,9 +21,21 @@
 // ---------------------------
 import { AuthClient } from '@dfinity/auth-client'; // Used for Internet Identity login/logout (referenced only for context here)
 import { createActor } from 'declarations/backend'; // Exposed to clarify source of window.actor in verification/notifications
-import { canisterId } from 'declarations/backend/index.js'; // Backend canister ID (context)
-import React, { useState, useEffect } from 'react'; // Core React + hooks
-import { BrowserRouter as Router, Route, Routes, useLocation } from 'react-router-dom'; // SPA routing primitives
+import { canisterId } from 'declarations/backend/index.js'; // Backend canister ID (used to validate certificates)
+import React, { useState, useEffect, useRef, useMemo } from 'react'; // Core React + hooks
+import { BrowserRouter as Router, Route, Routes, useLocation, useNavigate, useParams } from 'react-router-dom'; // SPA routing primitives
+import { computeContentIdentifiers, computeFingerprints, fingerprintFromImage, isImageFile, loadImage, sha256Hex } from './fingerprints'; // Browser-side hashing (SHA-256, perceptual image hashes)
+import { extractText, isTextDocument, textFingerprint } from './textFingerprints'; // Document MinHash/SimHash signatures
+import { isVideoFile, videoFingerprint } from './videoFingerprints'; // Sampled frame sequences of videos
+import { audioFingerprint, isAudioFile } from './audioFingerprints'; // Spectral sub-fingerprints of audio
+import { CHUNK_SIZE, getPendingUploads, uploadInChunks } from './chunkedUpload'; // Resumable uploads for large files
+import { MAX_CONCURRENT_UPLOADS, QUEUE_STATUS, collectDroppedFiles, createQueueItems, summarizeQueue } from './uploadQueue'; // Batch queue helpers
+import { verifyStampCertificate } from './certification'; // Checks certified verifyFileByHash answers
+import { Principal } from '@dfinity/principal'; // Parses the recipient of a stamp transfer
+import { fetchStampContent, previewKind, saveBlob } from './stampContent'; // Owner-only download + hash re-check
+import { canWatermark, embedWatermark, extractWatermark } from './watermark'; // Invisible stamp IDs in exported images
+import { SORT_OPTIONS, TYPE_FILTERS, buildFileQuery } from './stampListing'; // Paged, sorted, filtered getFiles requests
+import { describeStampError, stampErrorCode, formatMB } from './stampErrors'; // Localized messages for canister error codes
 import '../index.css'; // Global styles (Tailwind or custom)
 
 // ---------------------------
@@ -46,9 +58,11 @@ const identityProvider =
  * Purpose:
  * - Renders the top navigation bar with route-aware link highlighting and an
  *   auth button that toggles Login/Logout based on `isAuthenticated`.
+ * - The notification bell carries a badge with the number of unread alerts.
  *
  * Inputs/Props:
  * - isAuthenticated:boolean (renders Login/Logout)
+ * - unreadAlerts:number (badge count; hidden at 0)
  * - login:() => Promise<void> (callback wired by parent; triggers II login)
  * - logout:() => Promise<void> (callback wired by parent; clears session)
  *
@@ -64,7 +78,7 @@ const identityProvider =
  *   but <Link> avoids full page reloads. Consider replacing with <NavLink>.
  * - Bell icon uses inline SVG to avoid extra assets and allow CSS control.
  ************************************************************************************/
-function Header({ isAuthenticated, login, logout }) {
+function Header({ isAuthenticated, login, logout, unreadAlerts }) {
   const location = useLocation(); // Current route path (e.g., "/about") for active link styling
 
   return (
@@ -87,6 +101,12 @@ function Header({ isAuthenticated, login, logout }) {
                 <svg viewBox="0 0 448 512" className="bell">
                   <path d="M224 0c-17.7 0-32 14.3-32 32V49.9C119.5 61.4 64 124.2 64 200v33.4c0 45.4-15.5 89.5-43.8 124.9L5.3 377c-5.8 7.2-6.9 17.1-2.9 25.4S14.8 416 24 416H424c9.2 0 17.6-5.3 21.6-13.6s2.9-18.2-2.9-25.4l-14.9-18.6C399.5 322.9 384 278.8 384 233.4V200c0-75.8-55.5-138.6-128-150.1V32c0-17.7-14.3-32-32-32zm0 96h8c57.4 0 104 46.6 104 104v33.4c0 47.9 13.9 94.6 39.7 134.6H72.3C98.1 328 112 281.3 112 233.4V200c0-57.4 46.6-104 104-104h8zm64 352H224 160c0 17 6.7 33.3 18.7 45.3s28.3 18.7 45.3 18.7s33.3-6.7 45.3-18.7s18.7-28.3 18.7-45.3z"></path>
                 </svg>
+                {/* Unread badge; caps the label so it stays inside the circle */}
+                {unreadAlerts > 0 && (
+                  <span className="bell-badge" aria-label={`${unreadAlerts} unread notifications`}>
+                    {unreadAlerts > 99 ? "99+" : unreadAlerts}
+                  </span>
+                )}
               </button>
             </a>
           </div>
@@ -244,40 +264,164 @@ function About() {
  * Uploads
  *
  * Purpose:
- * - Controlled file input widget that delegates the actual upload logic to the parent
- *   via `handleFileUpload`. Displays success/error status messages from props.
+ * - Batch stamping view: multi-select, folder selection and a drag-and-drop zone feed an
+ *   upload queue owned by the parent. Each queued file shows its own status (queued,
+ *   hashing, uploading, stamped, duplicate, failed), progress for chunked uploads, and a
+ *   retry/cancel action; a summary is shown once the batch has finished.
  *
  * Inputs/Props:
- * - handleFileUpload: (event: React.ChangeEvent<HTMLInputElement>) => void|Promise<void>
+ * - onFilesSelected: (files: File[]) => void (adds files to the queue)
+ * - queue: Array<{ id; file; path; status; message; progress }> (see uploadQueue.js)
+ * - summary: { total; stamped; duplicate; failed; done } (from summarizeQueue)
+ * - onRetry: (id:number) => void, onRetryFailed: () => void
+ * - onCancel: (id:number) => void (drops a queued file, stops fingerprinting or aborts a chunked upload)
+ * - onClearFinished: () => void
  * - errorMessage?: string (rendered when present)
- * - uploadSuccessMessage?: string (rendered when present)
+ * - pendingUploads: Array<{ name:string; size:number }> (interrupted sessions that can be resumed)
+ * - fingerprintOnly: boolean (when true, only hashes are sent; the file never leaves the device)
+ * - onFingerprintOnlyChange: (value:boolean) => void
+ * - stamps: Array<{ name:string; hash:string; version:bigint }> (the user's stamps, for the revision picker)
+ * - revisionOf: string ("" or the hash of the stamp the next files revise)
+ * - onRevisionOfChange: (hash:string) => void
+ * - quotaUsage: null | { quota: { stampsPerDay; totalBytes }; stampsToday; bytesStored; dayResetsAt }
+ *   (from getQuotaUsage; shown above the pickers once loaded)
  *
  * Behavior:
- * - Keeps UI stateless; all side effects (hashing, actor calls, list refresh) are in parent.
- *
- * UX:
- * - Uses a plain <input type="file">; enhance with accept multiple/drag-drop if needed.
+ * - All side effects (hashing, actor calls, list refresh) are in the parent; the only local
+ *   state is the drag-over highlight.
+ * - An interrupted upload is resumed by selecting the same file again; the parent
+ *   matches it against the sessions remembered in localStorage.
  *****************************************************************************************/
-function Uploads({ handleFileUpload, errorMessage, uploadSuccessMessage }) {
+function Uploads({ onFilesSelected, queue, summary, onRetry, onRetryFailed, onCancel, onClearFinished, errorMessage, pendingUploads, fingerprintOnly, onFingerprintOnlyChange, stamps, revisionOf, onRevisionOfChange, quotaUsage }) {
+  const [dragActive, setDragActive] = useState(false); // Highlights the drop zone while files hover over it
+
+  // Shared onChange for the file and folder pickers
+  function handlePick(event) {
+    onFilesSelected(Array.from(event.target.files));
+    event.target.value = ""; // Allow picking the same files again (e.g. to resume)
+  }
+
+  async function handleDrop(event) {
+    event.preventDefault();
+    setDragActive(false);
+    onFilesSelected(await collectDroppedFiles(event.dataTransfer));
+  }
+
+  // Human-readable labels for each queue status
+  const statusLabels = {
+    [QUEUE_STATUS.queued]: "Queued",
+    [QUEUE_STATUS.hashing]: "Hashing…",
+    [QUEUE_STATUS.uploading]: "Uploading…",
+    [QUEUE_STATUS.stamped]: "Stamped",
+    [QUEUE_STATUS.duplicate]: "Duplicate",
+    [QUEUE_STATUS.failed]: "Failed"
+  };
+
   return (
     <div className="view active">
-      <h2 className="text-xl font-bold mb-4">Upload Document</h2>
-      <p>Upload your document to VaultStamp for secure timestamping on the blockchain.</p>
+      <h2 className="text-xl font-bold mb-4">Upload Documents</h2>
+      <p>Upload your documents to VaultStamp for secure timestamping on the blockchain.</p>
+
+      {/* Per-account limits enforced by the canister; the daily count resets at midnight UTC */}
+      {quotaUsage && (
+        <p className="mb-4 text-sm">
+          Today: {Number(quotaUsage.stampsToday)} / {Number(quotaUsage.quota.stampsPerDay)} stamps
+          {" · "}
+          Storage: {formatMB(quotaUsage.bytesStored)} / {formatMB(quotaUsage.quota.totalBytes)}
+        </p>
+      )}
 
-      {/* File picker; the parent handles the onChange (reading file, hashing, actor upload) */}
-      <div className="mb-4">
+      {/* Resume hint: browsers cannot reopen a file by themselves, so the user re-selects it */}
+      {pendingUploads.length > 0 && (
+        <div className="status-msg">
+          Interrupted uploads: {pendingUploads.map(p => `"${p.name}"`).join(", ")}. Select the same files again to resume where they stopped.
+        </div>
+      )}
+
+      {/* Hash-only mode: SHA-256 (and perceptual hashes for images) are computed locally */}
+      <label className="mb-4" style={{ display: "block" }}>
         <input
-          type="file"
-          onChange={handleFileUpload} // Delegate all logic upward for single source of truth
-        />
+          type="checkbox"
+          checked={fingerprintOnly}
+          onChange={(e) => onFingerprintOnlyChange(e.target.checked)}
+        />{" "}
+        Fingerprint only: stamp the file's hash without sending its content to VaultStamp
+      </label>
+
+      {/* Versioning: link the next files to an earlier stamp so the design's evolution is provable */}
+      <label className="mb-4" style={{ display: "block" }}>
+        Revision of:{" "}
+        <select value={revisionOf} onChange={(e) => onRevisionOfChange(e.target.value)}>
+          <option value="">None (new design)</option>
+          {stamps.map((stamp) => (
+            <option key={stamp.hash} value={stamp.hash}>
+              {stamp.name} (v{Number(stamp.version)})
+            </option>
+          ))}
+        </select>
+      </label>
+
+      {/* Drop zone for files and whole folders, with pickers as the keyboard-accessible path */}
+      <div
+        className={`drop-zone${dragActive ? " active" : ""}`}
+        onDragOver={(e) => { e.preventDefault(); setDragActive(true); }}
+        onDragLeave={() => setDragActive(false)}
+        onDrop={handleDrop}
+      >
+        <p>Drag and drop files or folders here</p>
+        <label>
+          Files: <input type="file" multiple onChange={handlePick} />
+        </label>
+        <label style={{ marginLeft: "16px" }}>
+          Folder: <input type="file" webkitdirectory="" multiple onChange={handlePick} />
+        </label>
       </div>
 
-      {/* Status messages are mutually exclusive in normal flow; both are optional */}
       {errorMessage && (
         <div className="status-msg" id="uploadStatus">{errorMessage}</div>
       )}
-      {uploadSuccessMessage && (
-        <div className="status-msg" id="uploadStatus">{uploadSuccessMessage}</div>
+
+      {/* Batch summary once nothing is waiting or in flight */}
+      {summary.done && (
+        <div className="status-msg" id="uploadStatus">
+          Batch complete: {summary.stamped} stamped, {summary.duplicate} duplicate, {summary.failed} failed (of {summary.total}).
+          {summary.failed > 0 && (
+            <button onClick={onRetryFailed} style={{ marginLeft: "10px" }}>Retry failed</button>
+          )}
+          <button onClick={onClearFinished} style={{ marginLeft: "10px" }}>Clear</button>
+        </div>
+      )}
+
+      {/* Per-file queue */}
+      {queue.length > 0 && (
+        <ul className="upload-queue">
+          {queue.map((item) => (
+            <li key={item.id} className={`upload-queue-item ${item.status}`}>
+              <div className="flex items-center justify-between">
+                <span>{item.path}</span>
+                <span>
+                  {statusLabels[item.status]}
+                  {item.status === QUEUE_STATUS.failed && (
+                    <button onClick={() => onRetry(item.id)} style={{ marginLeft: "10px" }}>Retry</button>
+                  )}
+                  {(item.status === QUEUE_STATUS.queued || item.status === QUEUE_STATUS.hashing || item.progress) && (
+                    <button onClick={() => onCancel(item.id)} style={{ marginLeft: "10px" }}>Cancel</button>
+                  )}
+                </span>
+              </div>
+              {/* Chunked uploads report byte progress */}
+              {item.progress && (
+                <progress value={item.progress.received} max={item.progress.total} style={{ width: "100%" }} />
+              )}
+              {item.message && <div className="text-sm">{item.message}</div>}
+              {item.originalHash && (
+                <div className="text-sm">
+                  Original stamp: <a href={`/verify/${item.originalHash}`} className="font-mono">{item.originalHash}</a>
+                </div>
+              )}
+            </li>
+          ))}
+        </ul>
       )}
     </div>
   );
@@ -288,28 +432,297 @@ function Uploads({ handleFileUpload, errorMessage, uploadSuccessMessage }) {
  *
  * Purpose:
  * - Renders a simple list of the user's previously uploaded artifacts ("stamps")
- *   with file name, hash, and timestamp. Provides a one-click "Copy Hash" action.
+ *   with file name, hash, and timestamp. Provides one-click "Copy Hash" and
+ *   "Copy Verify Link" actions; the link opens the public `/verify/:hash` page.
+ * - Flags stamps that other users tried to register again ("contested claims") and
+ *   lists who tried, when, and under which file name.
+ * - Shows each design once, at its latest revision; designs with several revisions can
+ *   expand a timeline of every version back to the first stamp.
+ * - Stamps are listed by content hash; the name is an editable label (Rename).
+ * - Search (name substring), type and date filters and sort controls are applied by the
+ *   canister; pages are fetched with getFiles' cursor as the user scrolls (infinite scroll).
+ * - Ownership transfer: the owner offers a stamp to another principal; the recipient
+ *   accepts or declines it here, and the owner can withdraw a pending offer.
+ * - Stamps with stored content can be downloaded, and images, PDFs and text previewed
+ *   inline. The content is re-hashed in the browser and must match the stamp's hash.
+ * - Raster images can also be exported with an invisible watermark carrying the stamp's
+ *   watermark ID (assigned by getWatermarkId and private to the owner; see watermark.js),
+ *   so a leaked copy (e.g. a client preview) traces back to the stamp.
  *
  * Inputs/Props:
- * - files: Array<{ name:string; hash:string; timestamp?: bigint|number|string }>
+ * - actor: backend actor used to list the stamps and to load claims, revision history and content
+ * - refreshKey: any (the list is reloaded from the first page whenever it changes)
+ * - onFilesChanged: () => void (tells the parent that a transfer or rename changed the stamps)
  *
  * Behavior:
- * - Pure view; no internal state. Timestamp is assumed to be in nanoseconds and is
- *   converted to a human-readable local string by dividing by 1,000,000.
+ * - Local state: the loaded pages (`files`, FileSummary records from getFiles), the listing
+ *   controls, the claims and timelines of the stamps the user expanded (keyed by hash),
+ *   the pending transfer offers (loaded with the view), the transfer and rename forms, and the
+ *   downloaded content of previewed stamps (object URLs are revoked on unmount).
+ *   Timestamps are assumed to be in nanoseconds and converted by dividing by 1,000,000.
  *
  * Security/Permissions:
  * - `navigator.clipboard` requires a secure context (https or localhost). If used in
  *   insecure contexts, the copy action may throw; here we assume modern environments.
  *****************************************************************************************/
-function UploadedFiles({ files }) {
+function UploadedFiles({ actor, refreshKey, onFilesChanged }) {
+  const [files, setFiles] = useState([]);           // Stamps loaded so far, in listing order
+  const [nextCursor, setNextCursor] = useState([]); // Candid opt: [] once the last page is loaded
+  const [total, setTotal] = useState(0);            // Stamps matching the current filters
+  const [listing, setListing] = useState(false);    // A page request is in flight
+  const [search, setSearch] = useState("");
+  const [sortBy, setSortBy] = useState("timestamp");
+  const [descending, setDescending] = useState(true);
+  const [typeFilter, setTypeFilter] = useState("");
+  const [fromDate, setFromDate] = useState("");
+  const [toDate, setToDate] = useState("");
+  const listRequestRef = useRef(0); // Ignores pages that belong to outdated filters
+  const sentinelRef = useRef(null); // Bottom-of-list marker that triggers the next page
+
+  // Fetches one page; without a cursor the list restarts from the first page
+  async function loadPage(cursor) {
+    const requestId = ++listRequestRef.current;
+    setListing(true);
+    try {
+      const page = await actor.getFiles(buildFileQuery({
+        sortBy, descending, search, fileType: typeFilter, fromDate, toDate, cursor
+      }));
+      if (requestId !== listRequestRef.current) return;
+      setFiles(prev => (cursor.length === 0 ? page.files : [...prev, ...page.files]));
+      setNextCursor(page.nextCursor);
+      setTotal(Number(page.total));
+    } catch (error) {
+      console.error("Failed to load files:", error);
+    }
+    if (requestId === listRequestRef.current) setListing(false);
+  }
+
+  // Restart the listing when the controls change (search is debounced while typing)
+  useEffect(() => {
+    if (!actor) return;
+    const timer = setTimeout(() => loadPage([]), 300);
+    return () => clearTimeout(timer);
+  }, [actor, refreshKey, search, sortBy, descending, typeFilter, fromDate, toDate]);
+
+  // Infinite scroll: fetch the next page when the bottom marker comes into view
+  useEffect(() => {
+    if (!sentinelRef.current || nextCursor.length === 0 || listing) return;
+    const observer = new IntersectionObserver(entries => {
+      if (entries[0].isIntersecting) loadPage(nextCursor);
+    });
+    observer.observe(sentinelRef.current);
+    return () => observer.disconnect();
+  }, [nextCursor, listing]);
+
+  // hash → Array<{ claimant, name, timestamp }> for expanded stamps
+  const [claimsByHash, setClaimsByHash] = useState({});
+
+  // hash → revision chain (oldest first) for expanded timelines
+  const [historyByHash, setHistoryByHash] = useState({});
+
+  async function toggleHistory(hash) {
+    if (historyByHash[hash]) {
+      const { [hash]: _, ...rest } = historyByHash;
+      setHistoryByHash(rest);
+      return;
+    }
+    try {
+      const history = await actor.getRevisionHistory(hash);
+      setHistoryByHash(prev => ({ ...prev, [hash]: history }));
+    } catch (error) {
+      console.error("Error loading revision history:", error);
+    }
+  }
+
+  // hash → { status: "loading"|"ready"|"error", progress?, blob?, url?, text?, message? }
+  const [contentByHash, setContentByHash] = useState({});
+  const [previewHash, setPreviewHash] = useState(null); // Stamp whose preview is open
+  const objectUrlsRef = useRef([]);
+
+  // Release preview object URLs when leaving My Stamps
+  useEffect(() => () => objectUrlsRef.current.forEach(url => URL.revokeObjectURL(url)), []);
+
+  const updateContent = (hash, patch) => setContentByHash(prev => ({ ...prev, [hash]: { ...prev[hash], ...patch } }));
+
+  // Downloads (once) and verifies a stamp's content; returns the Blob or null on failure
+  async function loadContent(file) {
+    const cached = contentByHash[file.hash];
+    if (cached && cached.status === "ready") return cached.blob;
+    updateContent(file.hash, { status: "loading", progress: 0, message: "" });
+    try {
+      const blob = await fetchStampContent(actor, file, {
+        onProgress: (read, total) => updateContent(file.hash, { progress: read / total })
+      });
+      const url = URL.createObjectURL(blob);
+      objectUrlsRef.current.push(url);
+      const text = previewKind(file.fileType) === "text" ? await blob.text() : null;
+      updateContent(file.hash, { status: "ready", blob, url, text });
+      return blob;
+    } catch (error) {
+      console.error("Error loading stamp content:", error);
+      updateContent(file.hash, { status: "error", message: error.message });
+      return null;
+    }
+  }
+
+  async function downloadContent(file) {
+    const blob = await loadContent(file);
+    if (blob) saveBlob(blob, file.name);
+  }
+
+  // Downloads an image with the stamp's watermark ID embedded; the file name gets a "-watermarked" suffix
+  async function downloadWatermarked(file) {
+    const blob = await loadContent(file);
+    if (!blob) return;
+    try {
+      // Candid Result → { ok: nat64 } | { err: text }; the ID is assigned on first use
+      const id = await actor.getWatermarkId(file.hash);
+      if ("err" in id) {
+        setActionMessage(id.err);
+        return;
+      }
+      const marked = await embedWatermark(blob, id.ok);
+      const extension = { "image/jpeg": "jpg", "image/webp": "webp" }[marked.type] || "png";
+      saveBlob(marked, `${file.name.replace(/\.[^.]+$/, "")}-watermarked.${extension}`);
+    } catch (error) {
+      console.error("Watermarking failed:", error);
+      setActionMessage(error.message);
+    }
+  }
+
+  function togglePreview(file) {
+    if (previewHash === file.hash) {
+      setPreviewHash(null);
+      return;
+    }
+    setPreviewHash(file.hash);
+    loadContent(file);
+  }
+
+  // Pending transfer offers: { incoming, outgoing }, each Array<{ offer, name }>
+  const [offers, setOffers] = useState({ incoming: [], outgoing: [] });
+  const [transferHash, setTransferHash] = useState(null); // Stamp whose transfer form is open
+  const [recipient, setRecipient] = useState("");         // Principal typed into that form
+  const [actionMessage, setActionMessage] = useState(""); // Outcome of the last transfer/rename
+  const [renameHash, setRenameHash] = useState(null);     // Stamp whose name is being edited
+  const [newName, setNewName] = useState("");
+
+  async function loadOffers() {
+    try {
+      setOffers(await actor.getTransferOffers());
+    } catch (error) {
+      console.error("Error loading transfer offers:", error);
+    }
+  }
+
+  useEffect(() => {
+    if (actor) loadOffers();
+  }, [actor]);
+
+  // Runs a transfer or rename call (Candid Result → { ok } | { err }), then refreshes offers and stamps
+  async function runStampAction(call, successMessage) {
+    try {
+      const result = await call();
+      setActionMessage("err" in result ? result.err : successMessage);
+      if ("ok" in result) {
+        setTransferHash(null);
+        setRecipient("");
+        setRenameHash(null);
+        onFilesChanged();
+      }
+    } catch (error) {
+      console.error("Stamp update failed:", error);
+      setActionMessage("The update failed. Please try again.");
+    }
+    loadOffers();
+  }
+
+  function startRename(file) {
+    setRenameHash(file.hash);
+    setNewName(file.name);
+  }
+
+  function offerTransfer(hash) {
+    let to;
+    try {
+      to = Principal.fromText(recipient.trim());
+    } catch {
+      setActionMessage("That is not a valid principal.");
+      return;
+    }
+    runStampAction(() => actor.offerTransfer(hash, to), "Transfer offered. It completes when the recipient accepts; earlier revisions of this stamp stay yours.");
+  }
+
+  async function toggleClaims(hash) {
+    if (claimsByHash[hash]) {
+      const { [hash]: _, ...rest } = claimsByHash;
+      setClaimsByHash(rest);
+      return;
+    }
+    try {
+      const claims = await actor.getContestedClaims(hash);
+      setClaimsByHash(prev => ({ ...prev, [hash]: claims }));
+    } catch (error) {
+      console.error("Error loading contested claims:", error);
+    }
+  }
+
   return (
     <div className="view active">
       <h2 className="text-xl font-bold mb-4">My Stamps</h2>
       <p>View your previously uploaded documents and their verification status.</p>
 
+      {actionMessage && <div className="status-msg">{actionMessage}</div>}
+
+      {/* Stamps other users offered to transfer to this user */}
+      {offers.incoming.length > 0 && (
+        <div className="tab-content active mb-4">
+          <h3>Transfer offers for you</h3>
+          {offers.incoming.map(({ offer, name }) => (
+            <div key={offer.hash} className="flex items-center justify-between">
+              <span>
+                "{name}" from <span className="font-mono">{offer.fromOwner.toText()}</span>
+              </span>
+              <span>
+                <button onClick={() => runStampAction(() => actor.acceptTransfer(offer.hash), `You now own "${name}".`)}>Accept</button>
+                <button onClick={() => runStampAction(() => actor.declineTransfer(offer.hash), "Offer declined.")} style={{ marginLeft: "10px" }}>Decline</button>
+              </span>
+            </div>
+          ))}
+        </div>
+      )}
+
+      {/* Listing controls; filtering and sorting happen on the canister */}
+      <div className="stamp-filters mb-4">
+        <input
+          type="search"
+          value={search}
+          onChange={(e) => setSearch(e.target.value)}
+          placeholder="Search by name"
+        />
+        <select value={typeFilter} onChange={(e) => setTypeFilter(e.target.value)}>
+          {TYPE_FILTERS.map(option => <option key={option.value} value={option.value}>{option.label}</option>)}
+        </select>
+        <label>
+          From <input type="date" value={fromDate} onChange={(e) => setFromDate(e.target.value)} />
+        </label>
+        <label>
+          To <input type="date" value={toDate} onChange={(e) => setToDate(e.target.value)} />
+        </label>
+        <select value={sortBy} onChange={(e) => setSortBy(e.target.value)}>
+          {SORT_OPTIONS.map(option => <option key={option.value} value={option.value}>Sort by {option.label}</option>)}
+        </select>
+        <button onClick={() => setDescending(d => !d)}>{descending ? "↓ Descending" : "↑ Ascending"}</button>
+      </div>
+      {files.length > 0 && <p className="text-sm text-gray-500">Showing {files.length} of {total} stamps</p>}
+
       <div className="space-y-2">
-        {/* Empty state: guide the user to upload */}
-        {files.length === 0 ? (
+        {/* Empty state: guide the user to upload (or to loosen the filters) */}
+        {files.length === 0 && listing ? (
+          <p className="py-8 text-center text-gray-500">Loading stamps...</p>
+        ) : files.length === 0 && (search || typeFilter || fromDate || toDate) ? (
+          <p className="py-8 text-center text-gray-500">No stamps match these filters.</p>
+        ) : files.length === 0 ? (
           <>
             <p className="py-8 text-center text-gray-500">No files have been uploaded yet.</p>
             <p className="text-center text-gray-500">Start uploading files to see them listed here.</p>
@@ -317,9 +730,26 @@ function UploadedFiles({ files }) {
         ) : (
           // Render each file with name + hash + humanized timestamp
           files.map((file) => (
-            <div key={file.name} className="tab-content active">
+            <div key={file.hash} className="tab-content active">
               <div className="flex items-center justify-between">
-                <span>{file.name}</span>
+                {/* The name is only a label; the stamp itself is identified by its hash */}
+                {renameHash === file.hash ? (
+                  <span>
+                    <input
+                      type="text"
+                      value={newName}
+                      onChange={(e) => setNewName(e.target.value)}
+                      style={{ color: "#000" }}
+                    />
+                    <button onClick={() => runStampAction(() => actor.renameStamp(file.hash, newName), "Stamp renamed.")} style={{ marginLeft: "10px" }}>Save</button>
+                    <button onClick={() => setRenameHash(null)} style={{ marginLeft: "10px" }}>Cancel</button>
+                  </span>
+                ) : (
+                  <span>
+                    {file.name}
+                    <button onClick={() => startRename(file)} style={{ marginLeft: "10px" }}>Rename</button>
+                  </span>
+                )}
                 {/* Copy hash to clipboard (UX: immediate feedback could be added with a toast) */}
                 <button
                   onClick={() => navigator.clipboard.writeText(file.hash)}
@@ -327,7 +757,76 @@ function UploadedFiles({ files }) {
                 >
                   Copy Hash
                 </button>
+                {/* Shareable, login-free verification URL for clients and courts */}
+                <button
+                  onClick={() => navigator.clipboard.writeText(`${window.location.origin}/verify/${file.hash}`)}
+                  style={{ marginLeft: "10px" }}
+                >
+                  Copy Verify Link
+                </button>
+                {/* Content is only stored for full uploads, not fingerprint-only stamps */}
+                {Number(file.chunkCount) > 0 && (
+                  <>
+                    <button onClick={() => downloadContent(file)} style={{ marginLeft: "10px" }}>
+                      Download
+                    </button>
+                    {canWatermark(file.fileType) && (
+                      <button onClick={() => downloadWatermarked(file)} style={{ marginLeft: "10px" }}>
+                        Download with Watermark
+                      </button>
+                    )}
+                    {previewKind(file.fileType) && (
+                      <button onClick={() => togglePreview(file)} style={{ marginLeft: "10px" }}>
+                        {previewHash === file.hash ? "Close Preview" : "Preview"}
+                      </button>
+                    )}
+                  </>
+                )}
+                {/* Hand the stamp over (e.g. a sold design); the original timestamp is kept */}
+                <button
+                  onClick={() => setTransferHash(transferHash === file.hash ? null : file.hash)}
+                  style={{ marginLeft: "10px" }}
+                >
+                  Transfer
+                </button>
               </div>
+              {transferHash === file.hash && (
+                <div className="mt-2">
+                  <input
+                    type="text"
+                    value={recipient}
+                    onChange={(e) => setRecipient(e.target.value)}
+                    placeholder="Recipient principal"
+                    className="font-mono"
+                    style={{ width: "100%", maxWidth: "480px", color: "#000" }}
+                  />
+                  <button onClick={() => offerTransfer(file.hash)} style={{ marginLeft: "10px" }}>Offer</button>
+                </div>
+              )}
+              {/* Download progress / integrity errors */}
+              {contentByHash[file.hash]?.status === "loading" && (
+                <progress value={contentByHash[file.hash].progress} max={1} style={{ width: "100%" }} />
+              )}
+              {contentByHash[file.hash]?.status === "error" && (
+                <div className="mt-2 text-sm" style={{ color: "red" }}>{contentByHash[file.hash].message}</div>
+              )}
+              {/* Inline preview of the verified content */}
+              {previewHash === file.hash && contentByHash[file.hash]?.status === "ready" && (
+                <div className="stamp-preview mt-2">
+                  {previewKind(file.fileType) === "image" && <img src={contentByHash[file.hash].url} alt={file.name} />}
+                  {previewKind(file.fileType) === "pdf" && <iframe src={contentByHash[file.hash].url} title={file.name} />}
+                  {previewKind(file.fileType) === "text" && <pre>{contentByHash[file.hash].text}</pre>}
+                </div>
+              )}
+              {/* Pending offer made by this user */}
+              {offers.outgoing.filter(({ offer }) => offer.hash === file.hash).map(({ offer }) => (
+                <div key={offer.hash} className="mt-2 text-sm">
+                  Transfer offered to <span className="font-mono">{offer.toOwner.toText()}</span>
+                  <button onClick={() => runStampAction(() => actor.declineTransfer(offer.hash), "Offer withdrawn.")} style={{ marginLeft: "10px" }}>
+                    Withdraw
+                  </button>
+                </div>
+              ))}
               <div className="mt-2 text-sm text-gray-600">
                 <div>Hash: <span className="font-mono">{file.hash}</span></div>
                 <div>
@@ -336,11 +835,57 @@ function UploadedFiles({ files }) {
                     ? new Date(Number(file.timestamp) / 1_000_000).toLocaleString()
                     : "N/A"}
                 </div>
+                {/* Version chain of the design, from the first stamp to this one */}
+                {Number(file.version) > 1 && (
+                  <div>
+                    Version {Number(file.version)}
+                    <button onClick={() => toggleHistory(file.hash)} style={{ marginLeft: "10px" }}>
+                      {historyByHash[file.hash] ? "Hide revisions" : "Show revisions"}
+                    </button>
+                    {historyByHash[file.hash] && (
+                      <ol className="revision-timeline">
+                        {historyByHash[file.hash].map((revision) => (
+                          <li key={revision.hash}>
+                            <strong>v{Number(revision.version)}</strong>{" "}
+                            {new Date(Number(revision.timestamp) / 1_000_000).toLocaleString()}: {revision.name}{" "}
+                            <a href={`/verify/${revision.hash}`} className="font-mono">{revision.hash.slice(0, 16)}…</a>
+                          </li>
+                        ))}
+                      </ol>
+                    )}
+                  </div>
+                )}
+                {/* Attempts by other users to register the same content */}
+                {Number(file.claimCount) > 0 && (
+                  <div>
+                    Contested claims: {Number(file.claimCount)}
+                    <button onClick={() => toggleClaims(file.hash)} style={{ marginLeft: "10px" }}>
+                      {claimsByHash[file.hash] ? "Hide" : "Show"}
+                    </button>
+                    {claimsByHash[file.hash] && (
+                      <ul>
+                        {claimsByHash[file.hash].map((claim, index) => (
+                          <li key={index}>
+                            {new Date(Number(claim.timestamp) / 1_000_000).toLocaleString()}:{" "}
+                            <span className="font-mono">{claim.claimant.toText()}</span> as "{claim.name}"
+                          </li>
+                        ))}
+                      </ul>
+                    )}
+                  </div>
+                )}
               </div>
             </div>
           ))
         )}
       </div>
+
+      {/* Infinite scroll marker; only rendered while more pages exist */}
+      {nextCursor.length > 0 && (
+        <div ref={sentinelRef} className="py-8 text-center text-gray-500">
+          {listing ? "Loading more..." : ""}
+        </div>
+      )}
     </div>
   );
 }
@@ -349,31 +894,219 @@ function UploadedFiles({ files }) {
  * PlagiarismCheck
  *
  * Purpose:
- * - Placeholder view advertising upcoming AI plagiarism scanning and legal assistance.
+ * - Checks a suspicious design, document, video or audio clip against the registry. A candidate image is
+ *   fingerprinted in the browser (aHash, dHash, pHash and wavelet hash on the original,
+ *   mirrored and grayscale variants; see fingerprints.js) and `findFilesWithSimilarPhash`
+ *   returns the stamped images with at least the chosen combined similarity, most similar
+ *   first. A text document (plain text, PDF, DOCX) gets its MinHash/SimHash signatures
+ *   (see textFingerprints.js) and is searched with `findSimilarDocuments`. A video is
+ *   sampled once per second into a sequence of frame pHashes (see videoFingerprints.js);
+ *   `findSimilarVideos` finds stamped videos sharing a stretch of frames, and where it starts.
+ *   An audio clip is decoded with the Web Audio API into spectral sub-fingerprints (see
+ *   audioFingerprints.js); `findSimilarAudio` finds stamped recordings it overlaps, so a
+ *   sound logo is found inside a longer track and the other way round.
+ * - Each match shows its similarity with the per-algorithm breakdown, original owner and
+ *   stamp date. Image matches can be opened in a side-by-side comparison: the candidate
+ *   image and both pHashes as 8x8 bit grids, with the differing bits marked. The original's
+ *   content is owner-only, so the right side links to the stamp's public verify page
+ *   instead of showing the image.
  *
- * Behavior:
- * - Static content only; no state, no side effects. Keeps structure ready for future
- *   integration (e.g., a form to submit URLs, an analysis queue, progress updates).
+ * Inputs/Props:
+ * - actor: backend actor (anonymous callers may search too; the method is a query)
  *
- * Extensibility:
- * - Replace the text sections with a wizard that accepts an image/document, then calls
- *   a backend AI service and subscribes to results (websocket/polling).
+ * State:
+ * - candidate: null | { name; kind: "image" | "document" | "video" | "audio"; url (object URL, images only);
+ *   fingerprint (see fingerprintFromImage / textFingerprint / videoFingerprint / audioFingerprint) }
+ * - minSimilarity: number (minimum combined similarity, in percent; image searches use at least
+ *   IMAGE_MIN_SIMILARITY)
+ * - matches: null (not searched yet) | Array of results of the search for the candidate's kind
+ * - compareHash: null | string (match whose comparison is open)
+ * - status: "idle" | "hashing" | "searching" | "done" | "error"; error: string
+ * - sampling: null | { done; total } (frames processed so far while fingerprinting a video or audio clip)
  *
- * Performance/Security:
- * - None currently; when adding AI uploads later, consider client-side hashing,
- *   MIME validation, and PII redaction before sending to any third-party service.
+ * Privacy:
+ * - The file never leaves the browser; only its signatures are sent.
  *****************************************************************************************/
-function PlagiarismCheck() {
+const PLAGIARISM_SIMILARITY_OPTIONS = [95, 90, 85, 80, 75, 60, 50];
+const IMAGE_MIN_SIMILARITY = 75; // The canister's MIN_IMAGE_SEARCH_SIMILARITY: lower image thresholds are raised to it
+const PLAGIARISM_MAX_RESULTS = 25;
+
+// Canister search for each non-image candidate kind (all return a Result)
+const SIMILARITY_SEARCHES = { document: "findSimilarDocuments", video: "findSimilarVideos", audio: "findSimilarAudio" };
+
+// Labels of the canister's HashAlgorithm and HashVariant tags
+const HASH_ALGORITHM_LABELS = { ahash: "aHash", dhash: "dHash", phash: "pHash", whash: "Wavelet" };
+const HASH_VARIANT_LABELS = { original: "", mirrored: " (mirrored)", grayscale: " (grayscale)" };
+const variantTag = variant => Object.keys(variant)[0]; // Candid variant → tag
+
+// Milliseconds → "m:ss"
+const formatClipTime = ms => `${Math.floor(ms / 60000)}:${String(Math.floor((ms % 60000) / 1000)).padStart(2, "0")}`;
+
+function PlagiarismCheck({ actor }) {
+  const [candidate, setCandidate] = useState(null);
+  const [minSimilarity, setMinSimilarity] = useState(90);
+  const [matches, setMatches] = useState(null);
+  const [compareHash, setCompareHash] = useState(null);
+  const [status, setStatus] = useState("idle");
+  const [error, setError] = useState("");
+  const [sampling, setSampling] = useState(null);
+
+  // Release the candidate's object URL when it is replaced or the view unmounts
+  useEffect(() => () => {
+    if (candidate?.url) URL.revokeObjectURL(candidate.url);
+  }, [candidate]);
+
+  // Search whenever a new file is fingerprinted or the threshold changes
+  useEffect(() => {
+    if (candidate) search(candidate);
+  }, [candidate, minSimilarity]);
+
+  async function handlePick(event) {
+    const file = event.target.files[0];
+    event.target.value = ""; // Allow picking the same image again
+    if (!file) return;
+    setMatches(null);
+    setCompareHash(null);
+    setError("");
+    if (!isImageFile(file) && !isTextDocument(file) && !isVideoFile(file) && !isAudioFile(file)) {
+      setStatus("error");
+      setError("Please choose an image (PNG, JPEG, SVG, …), a text document (TXT, PDF, DOCX), a video or an audio file.");
+      return;
+    }
+    setStatus("hashing");
+    try {
+      if (isImageFile(file)) {
+        const fingerprint = fingerprintFromImage(await loadImage(file));
+        setCandidate({ name: file.name, kind: "image", url: URL.createObjectURL(file), fingerprint });
+      } else if (isVideoFile(file)) {
+        const fingerprint = await videoFingerprint(file, { onProgress: (done, total) => setSampling({ done, total }) });
+        setCandidate({ name: file.name, kind: "video", url: null, fingerprint });
+      } else if (isAudioFile(file)) {
+        const fingerprint = await audioFingerprint(file, { onProgress: (done, total) => setSampling({ done, total }) });
+        setCandidate({ name: file.name, kind: "audio", url: null, fingerprint });
+      } else {
+        const fingerprint = textFingerprint(await extractText(file));
+        if (!fingerprint) throw new Error(`Too little text could be read from "${file.name}" to compare it.`);
+        setCandidate({ name: file.name, kind: "document", url: null, fingerprint });
+      }
+    } catch (err) {
+      setStatus("error");
+      setError(err.message);
+    }
+    setSampling(null);
+  }
+
+  async function search({ kind, fingerprint }) {
+    setStatus("searching");
+    setError("");
+    try {
+      if (kind === "image") {
+        setMatches(await actor.findFilesWithSimilarPhash(fingerprint, BigInt(minSimilarity), BigInt(PLAGIARISM_MAX_RESULTS)));
+      } else {
+        const result = await actor[SIMILARITY_SEARCHES[kind]](fingerprint, BigInt(minSimilarity), BigInt(PLAGIARISM_MAX_RESULTS));
+        if ("err" in result) throw new Error(describeStampError(result.err));
+        setMatches(result.ok);
+      }
+      setStatus("done");
+    } catch (err) {
+      console.error("Similarity search failed:", err);
+      setStatus("error");
+      setError("The search failed. Please try again.");
+    }
+  }
+
+  // Per-algorithm similarities of a match, for display
+  function breakdownText(match) {
+    if (candidate.kind === "document") {
+      return `MinHash ${Number(match.minhashSimilarity)}% · SimHash ${Number(match.simhashSimilarity)}%`;
+    }
+    if (candidate.kind === "video" || candidate.kind === "audio") {
+      const offset = Number(match.offsetMs);
+      const position = offset >= 0 ? `starts at ${formatClipTime(offset)} of the original` : `starts ${formatClipTime(-offset)} before the original`;
+      const overlap = candidate.kind === "video" ? `${Number(match.matchedFrames)} matching frames` : `${formatClipTime(Number(match.overlapMs))} of overlapping audio`;
+      return `${overlap} · ${position}`;
+    }
+    return match.breakdown.map(score => `${HASH_ALGORITHM_LABELS[variantTag(score.algorithm)]} ${Number(score.similarity)}%${HASH_VARIANT_LABELS[variantTag(score.variant)]}`).join(" · ");
+  }
+
+  // The candidate's pHash on the variant that matched the stamp best (grayscale is compared
+  // against the stamp's own grayscale hash, which is not returned, so the original is shown)
+  function candidatePhashFor(match) {
+    const score = match.breakdown.find(entry => variantTag(entry.algorithm) === "phash");
+    return score && variantTag(score.variant) === "mirrored" ? candidate.fingerprint.phash.mirrored : candidate.fingerprint.phash.original;
+  }
+
+  // The threshold the canister actually searched with
+  const searchedSimilarity = candidate?.kind === "image" ? Math.max(minSimilarity, IMAGE_MIN_SIMILARITY) : minSimilarity;
+
   return (
     <div className="view active">
-      {/* Coming-soon: AI pipeline marketing copy */}
       <div className="plagiarism-container">
         <h1 className="plagiarism-title">AI-Powered Plagiarism Detection</h1>
         <p className="plagiarism-description">
-          Our advanced AI technology is designed to help you identify potential plagiarism in your designs and documents. Stay tuned as we bring this cutting-edge feature to life, ensuring your intellectual property remains protected.
+          Choose a suspicious design, document, video or audio clip to compare it with every image, text, video or recording stamped on VaultStamp. Its fingerprint is computed in your browser; the file itself is never uploaded.
         </p>
       </div>
 
+      <div className="stamp-filters mt-4">
+        <input type="file" accept="image/*,video/*,audio/*,text/*,.pdf,.docx,.json" onChange={handlePick} />
+        <label>
+          Minimum similarity{" "}
+          <select value={minSimilarity} onChange={event => setMinSimilarity(Number(event.target.value))}>
+            {PLAGIARISM_SIMILARITY_OPTIONS.map(value => <option key={value} value={value}>{value}%</option>)}
+          </select>
+        </label>
+      </div>
+
+      {status === "hashing" && <p>Computing fingerprint…{sampling && ` (frame ${sampling.done} of ${sampling.total})`}</p>}
+      {status === "searching" && <p>Searching the registry…</p>}
+      {error && <p style={{ color: "red" }}>{error}</p>}
+
+      {matches && status === "done" && (
+        matches.length === 0 ? (
+          <p className="mt-4">No stamped {candidate.kind} is at least {searchedSimilarity}% similar to "{candidate.name}".</p>
+        ) : (
+          <div className="mt-4">
+            <p>{matches.length} similar stamp{matches.length === 1 ? "" : "s"}, most similar first:</p>
+            <ol className="similar-matches">
+              {matches.map(match => (
+                <li key={match.hash}>
+                  <div>
+                    <strong>{Number(match.similarity)}% similar</strong> — "{match.name}"
+                  </div>
+                  <div className="text-sm">{breakdownText(match)}</div>
+                  <div className="text-sm">
+                    Owner: <span className="font-mono">{match.owner.toText()}</span>
+                    {" · "}Stamped {new Date(Number(match.timestamp) / 1_000_000).toLocaleString()}
+                  </div>
+                  {candidate.kind === "image" ? (
+                    <button className="text-sm" onClick={() => setCompareHash(compareHash === match.hash ? null : match.hash)}>
+                      {compareHash === match.hash ? "Hide comparison" : "Compare side by side"}
+                    </button>
+                  ) : (
+                    <a className="text-sm" href={`/verify/${match.hash}`} target="_blank" rel="noreferrer">Open the original's certified stamp</a>
+                  )}
+                  {compareHash === match.hash && (
+                    <div className="side-by-side mt-2">
+                      <figure>
+                        <img src={candidate.url} alt={candidate.name} />
+                        <PhashGrid phash={candidatePhashFor(match)} other={match.phash} />
+                        <figcaption>Candidate: {candidate.name}</figcaption>
+                      </figure>
+                      <figure>
+                        <a href={`/verify/${match.hash}`} target="_blank" rel="noreferrer">Open the original's certified stamp</a>
+                        <PhashGrid phash={match.phash} other={candidatePhashFor(match)} />
+                        <figcaption>Original: {match.name}</figcaption>
+                      </figure>
+                    </div>
+                  )}
+                </li>
+              ))}
+            </ol>
+          </div>
+        )
+      )}
+
       <br /><br />
 
       {/* Coming-soon: legal assistance portal copy */}
@@ -387,34 +1120,88 @@ function PlagiarismCheck() {
   );
 }
 
+/*****************************************************************************************
+ * PhashGrid
+ *
+ * Purpose:
+ * - Draws a 64-bit pHash as the 8x8 grid of DCT coefficients it was built from (row-major,
+ *   most significant bit first; see dctHash in fingerprints.js). Bits that differ from `other` are
+ *   outlined, so two grids side by side show where the fingerprints disagree.
+ *
+ * Inputs/Props:
+ * - phash: bigint; other: bigint (the fingerprint it is compared with)
+ *****************************************************************************************/
+function PhashGrid({ phash, other }) {
+  const cells = [];
+  for (let i = 0; i < 64; i++) {
+    const mask = 1n << BigInt(63 - i);
+    const set = (phash & mask) !== 0n;
+    const differs = set !== ((other & mask) !== 0n);
+    cells.push(<span key={i} className={`phash-bit${set ? " set" : ""}${differs ? " differs" : ""}`} />);
+  }
+  return <div className="phash-grid" title="Perceptual fingerprint (outlined bits differ)">{cells}</div>;
+}
+
 /*****************************************************************************************
  * VerifyFiles
  *
  * Purpose:
- * - Client-side verification flow that computes a SHA-256 hash of a selected file and
- *   queries the backend canister (via `window.actor.verifyFileByHash`) to check for a
- *   matching record. Displays details if a match is found.
+ * - Client-side verification flow that computes the identifiers of a selected file (its
+ *   SHA-256, plus the canonical SVG hash or pixel hash) and asks the backend canister
+ *   (`window.actor.findStampByContent`) for the stamp any of them belongs to, then fetches
+ *   that stamp's record with `verifyFileByHash`. Displays details, and which identifier
+ *   matched, if a match is found. Only a SHA-256 match verifies the file; a canonical SVG
+ *   or pixel hash match (a copy with stripped metadata or a re-exported SVG) is shown as a
+ *   possible match, since those hashes come from the stamper's browser and the canister
+ *   cannot check them.
+ * - When no identifier matches, an image is searched for an invisible watermark (embedded
+ *   on export from My Stamps; see watermark.js), which `findStampByWatermark` resolves.
+ *   A watermark only says which stamp the image was exported from, so the result reads
+ *   "Watermark Found" and states that the file's content is not verified.
+ * - `verifyFileByHash` is a fast query; its answer carries a certificate + witness that
+ *   are checked against the IC root key, and a "cryptographically certified" badge is
+ *   shown only when that check passes.
  *
  * State:
  * - result: unknown (expects array of file records from backend; rendered defensively)
  * - error: string for user-facing errors (no file, network failure, not found, etc.)
  * - loading: toggles "Verifying..." feedback while async operations are in flight
  * - checked: indicates a verification attempt completed (success or fail) to control UI
+ * - certified: null (not checked) | boolean (outcome of the certificate check)
+ * - matchedBy: null | "sha256" | "svgHash" | "pixelHash" | "watermark" (what found the stamp)
+ * - foundHash: null | string (hash of the stamp that was found)
  *
  * Implementation details:
- * - Uses Web Crypto SubtleCrypto to hash the file ArrayBuffer in the browser (no upload).
- * - Hex encoding: converts Uint8Array digest → hex string to match backend expectations.
+ * - The owner shown is the current one; earlier owners of a transferred stamp are
+ *   listed below it (see Provenance).
+ * - Hashes the file in the browser with Web Crypto (no upload); see computeContentIdentifiers.
+ * - The certificate covers the stamp record, not the SVG/pixel/watermark lookup that found
+ *   it, which the badge says for any match other than SHA-256.
  * - Time conversion assumes nanoseconds from the canister and divides by 1,000,000.
  *
  * Pitfalls:
  * - `window.actor` must be initialized by the parent (App) before use; otherwise calls
  *   will fail. Errors are caught and surfaced to the user.
  *****************************************************************************************/
+// How each ContentIdentifier tag is described when it found the stamp
+const MATCHED_BY_LABELS = {
+  sha256: "SHA-256 of the file (byte-identical to the stamped file)",
+  svgHash: "Canonical SVG markup (a re-export of the stamped SVG)",
+  pixelHash: "Decoded pixels (the same image; metadata or encoding differ)",
+  watermark: "Invisible watermark (a copy exported from My Stamps)"
+};
+
+// Identifiers supplied by the stamper's browser: their matches are advisory
+const ADVISORY_MATCHES = ["svgHash", "pixelHash"];
+
 function VerifyFiles() {
   const [result, setResult] = useState(null);   // Backend response (array of matching records or null)
   const [error, setError] = useState("");       // Human-readable error message for UI
   const [loading, setLoading] = useState(false); // Spinner/feedback control
   const [checked, setChecked] = useState(false); // Marks that we attempted verification
+  const [certified, setCertified] = useState(null); // Result of the certificate/witness check
+  const [matchedBy, setMatchedBy] = useState(null); // Identifier that found the stamp
+  const [foundHash, setFoundHash] = useState(null); // Hash of the stamp that was found
 
   // onChange handler for the file input
   async function handleVerify(event) {
@@ -422,6 +1209,9 @@ function VerifyFiles() {
     setResult(null);
     setLoading(true);
     setChecked(false);
+    setCertified(null);
+    setMatchedBy(null);
+    setFoundHash(null);
 
     const file = event.target.files[0]; // Only single-file handling here
     if (!file) {
@@ -431,37 +1221,44 @@ function VerifyFiles() {
       return;
     }
 
-    // 1) Read file bytes into memory as an ArrayBuffer (no network I/O)
-    const arrayBuffer = await file.arrayBuffer();
-
-    // 2) Compute SHA-256 hash using Web Crypto; returns an ArrayBuffer of 32 bytes
-    const hashBuffer = await crypto.subtle.digest('SHA-256', arrayBuffer);
-
-    // 3) Convert ArrayBuffer → Uint8Array for iteration
-    const hashArray = Array.from(new Uint8Array(hashBuffer));
-
-    // 4) Convert bytes → hex string (two hex chars per byte, zero-padded)
-    const hashHex = hashArray.map(b => b.toString(16).padStart(2, '0')).join('');
-
-    // Debug logs useful during development; remove or gate behind env in prod
-    console.log("Frontend hash:", hashHex);
-    console.log("Verifying hash:", hashHex);
+    // 1) Compute the file's identifiers locally (no network I/O): SHA-256 of the bytes, plus the
+    //    canonical SVG hash or the pixel hash where they apply
+    const identifiers = await computeContentIdentifiers(file);
 
     try {
-      // 5) Ask backend to verify this hash; expects either falsy or an array of matches
-      const res = await window.actor.verifyFileByHash(hashHex);
+      // 2) Find the stamp by any identifier; Candid Result → { ok: { stampHash, matchedBy } } | { err: StampError }
+      const found = await window.actor.findStampByContent(identifiers);
+      let stampHash = "ok" in found ? found.ok.stampHash : null;
+      let foundBy = "ok" in found ? variantTag(found.ok.matchedBy) : null;
+
+      // 2b) Otherwise look for a watermark in images; Nat64 ID → { ok: stampHash } | { err: StampError }
+      const watermark = !stampHash && canWatermark(file.type) ? await extractWatermark(file) : null;
+      if (watermark !== null) {
+        const byWatermark = await window.actor.findStampByWatermark(watermark);
+        if ("ok" in byWatermark) {
+          stampHash = byWatermark.ok;
+          foundBy = "watermark";
+        }
+      }
+      const hashHex = stampHash || identifiers.sha256;
+
+      // 3) Ask backend to verify the stamp's hash; Candid Result → { ok: record } | { err: StampError }
+      const res = stampHash ? await window.actor.verifyFileByHash(hashHex) : found;
 
       setChecked(true);
 
-      if (!res) {
-        // No match found at the canister
+      if ("err" in res) {
+        // No match found at the canister (or the hash was rejected)
         setResult(null);
-        setError("No matching file found.");
+        setError(stampErrorCode(res.err) === "notFound" ? "No matching file found." : describeStampError(res.err));
       } else {
-        // Found one or more matching records; store for rendering
-        setResult(res);
-        console.log("Verification result:", res);
+        // Found a matching record; kept as a one-element array for rendering
+        setResult([res.ok]);
+        setMatchedBy(foundBy);
+        setFoundHash(hashHex);
         setError("");
+        // Don't trust the single replica that answered: check the certificate + witness
+        setCertified(await verifyStampCertificate(window.actor, canisterId, hashHex, res.ok));
       }
     } catch (err) {
       // Network/actor errors or backend traps result in a generic failure message
@@ -488,7 +1285,31 @@ function VerifyFiles() {
         // Defensive checks: ensure `result` is an array with at least one object containing `name`
         Array.isArray(result) && result.length > 0 && result[0].name ? (
           <div>
-            <h3>File Verified!</h3>
+            <h3>{{ sha256: "File Verified!", watermark: "Watermark Found" }[matchedBy] || "Possible Match"}</h3>
+            {matchedBy && <p>Matched by: {MATCHED_BY_LABELS[matchedBy]}</p>}
+            {ADVISORY_MATCHES.includes(matchedBy) && (
+              <p style={{ color: "orange" }}>
+                This file is not stamped itself. Its hash matches one the stamper's browser reported, which the
+                canister cannot check.
+              </p>
+            )}
+            {matchedBy === "watermark" && (
+              <p style={{ color: "orange" }}>
+                The watermark points to stamp <span className="font-mono">{foundHash}</span>; the content of this
+                file is not verified.
+              </p>
+            )}
+            {/* Certification badge: only shown as certified when the BLS certificate and witness check out */}
+            {certified === true && (
+              <p style={{ color: "limegreen" }}>
+                {matchedBy === "sha256"
+                  ? "✔ Cryptographically certified by the Internet Computer"
+                  : "✔ The stamp record is certified by the Internet Computer; this file's link to it is not"}
+              </p>
+            )}
+            {certified === false && (
+              <p style={{ color: "orange" }}>⚠ This answer could not be certified; treat it as unverified.</p>
+            )}
             {/* Map over all results; the canister may return multiple owners/entries per hash */}
             {result.map((file, idx) => (
               <div key={idx}>
@@ -502,6 +1323,7 @@ function VerifyFiles() {
                 </p>
                 {/* owner principal may be a Principal-like object; align toString guard accordingly */}
                 <p>Owner: {file.owner.toString ? file.owner.toString() : String(file.owner)}</p>
+                <Provenance transfers={file.transfers} />
               </div>
             ))}
           </div>
@@ -518,70 +1340,337 @@ function VerifyFiles() {
   );
 }
 
+/*****************************************************************************************
+ * Provenance
+ *
+ * Purpose:
+ * - Lists the previous owners of a stamp that changed hands, oldest first, with the date
+ *   each transfer was accepted. Renders nothing for stamps that were never transferred.
+ *
+ * Inputs/Props:
+ * - transfers: Array<{ fromOwner: Principal; toOwner: Principal; timestamp: bigint }>
+ *   (the `transfers` field returned by verifyFileByHash)
+ *****************************************************************************************/
+function Provenance({ transfers }) {
+  if (!transfers || transfers.length === 0) return null;
+  return (
+    <div>
+      <p>Previous owners:</p>
+      <ol>
+        {transfers.map((transfer, idx) => (
+          <li key={idx}>
+            <span className="font-mono">{transfer.fromOwner.toText()}</span>, until{" "}
+            {new Date(Number(transfer.timestamp) / 1_000_000).toLocaleString()}
+          </li>
+        ))}
+      </ol>
+    </div>
+  );
+}
+
+/*****************************************************************************************
+ * PublicVerify
+ *
+ * Purpose:
+ * - Login-free verification page at `/verify/:hash` that anyone can open from a shared
+ *   link (clients, courts). Shows the stamp's timestamp, current owner principal (plus
+ *   any previous owners) and file type, or a clear "not stamped" result.
+ * - Also accepts a pasted hash or a local file (hashed in the browser) and navigates to
+ *   the matching `/verify/:hash` URL so the result can be shared in turn. A file that is
+ *   not stamped itself but whose canonical SVG or pixel hash matches a stamp's lands on its
+ *   own (not stamped) URL with a link to that stamp, marked as a possible match: those
+ *   hashes come from the stamper's browser and the canister cannot check them.
+ *
+ * State:
+ * - input: string (hash typed/pasted by the visitor)
+ * - record: null | object (stamp returned by the canister)
+ * - status: "idle" | "loading" | "found" | "not-found" | "invalid" | "error"
+ * - certified: null | boolean (outcome of the certificate/witness check)
+ * - possibleMatch: null | { forHash; stampHash; matchedBy } (advisory match of a picked file)
+ *
+ * Implementation details:
+ * - Uses its own anonymous actor (no AuthClient identity), so it never depends on
+ *   `window.actor` or an Internet Identity session.
+ * - The file name is deliberately not shown; shared links should not leak it.
+ *****************************************************************************************/
+function PublicVerify() {
+  const { hash: routeHash } = useParams(); // Hash from the shared link (undefined on /verify)
+  const navigate = useNavigate();
+  const anonymousActor = useMemo(() => createActor(canisterId), []); // No identity → anonymous principal
+
+  const [input, setInput] = useState(routeHash || "");
+  const [record, setRecord] = useState(null);
+  const [status, setStatus] = useState("idle");
+  const [certified, setCertified] = useState(null);
+  const [possibleMatch, setPossibleMatch] = useState(null);
+
+  // Look up the stamp whenever the URL's hash changes
+  useEffect(() => {
+    let cancelled = false; // Ignore answers for a hash the visitor already navigated away from
+
+    async function lookup() {
+      setRecord(null);
+      setCertified(null);
+      if (!routeHash) {
+        setStatus("idle");
+        return;
+      }
+
+      const hash = routeHash.toLowerCase();
+      setInput(hash);
+      if (!/^[0-9a-f]{64}$/.test(hash)) {
+        setStatus("invalid");
+        return;
+      }
+
+      setStatus("loading");
+      try {
+        const result = await anonymousActor.verifyFileByHash(hash); // Candid Result → { ok } | { err }
+        if (cancelled) return;
+        if ("err" in result) {
+          setStatus(stampErrorCode(result.err) === "invalidHash" ? "invalid" : "not-found");
+          return;
+        }
+        const found = result.ok;
+        setRecord(found);
+        setStatus("found");
+        const ok = await verifyStampCertificate(anonymousActor, canisterId, hash, found);
+        if (!cancelled) setCertified(ok);
+      } catch (err) {
+        console.error("Public verification failed:", err);
+        if (!cancelled) setStatus("error");
+      }
+    }
+
+    lookup();
+    return () => { cancelled = true; };
+  }, [routeHash, anonymousActor]);
+
+  // Submit a pasted hash
+  function handleSubmit(event) {
+    event.preventDefault();
+    const hash = input.trim().toLowerCase();
+    setPossibleMatch(null);
+    if (hash) navigate(`/verify/${hash}`);
+  }
+
+  // Hash a local file in the browser (nothing is uploaded) and verify that hash
+  async function handleFile(event) {
+    const file = event.target.files[0];
+    if (!file) return;
+    const identifiers = await computeContentIdentifiers(file);
+    setPossibleMatch(null);
+    try {
+      const found = await anonymousActor.findStampByContent(identifiers);
+      const matchedBy = "ok" in found ? variantTag(found.ok.matchedBy) : null;
+      if (matchedBy === "sha256") {
+        navigate(`/verify/${found.ok.stampHash}`);
+        return;
+      }
+      // A copy with stripped metadata or a re-exported SVG only points to the original stamp
+      if (matchedBy) setPossibleMatch({ forHash: identifiers.sha256, stampHash: found.ok.stampHash, matchedBy });
+    } catch (err) {
+      console.error("Content lookup failed:", err);
+    }
+    navigate(`/verify/${identifiers.sha256}`);
+  }
+
+  return (
+    <div className="view active">
+      <h2 className="text-xl font-bold mb-4">Verify a VaultStamp</h2>
+      <p>Check whether a file was stamped on VaultStamp. No login required.</p>
+
+      {/* Either paste a SHA-256 hash... */}
+      <form onSubmit={handleSubmit} className="mb-4">
+        <input
+          type="text"
+          value={input}
+          onChange={(e) => setInput(e.target.value)}
+          placeholder="Paste a SHA-256 hash"
+          className="font-mono"
+          style={{ width: "100%", maxWidth: "640px", color: "#000" }}
+        />
+        <button type="submit" className="sign-in-btn" style={{ marginLeft: "8px" }}>Verify</button>
+      </form>
+
+      {/* ...or pick the file itself; it is hashed locally */}
+      <div className="mb-4">
+        Or choose the file: <input type="file" onChange={handleFile} />
+      </div>
+
+      {status === "loading" && <p>Verifying...</p>}
+      {status === "invalid" && <p style={{ color: "red" }}>That is not a valid SHA-256 hash (64 hexadecimal characters).</p>}
+      {status === "error" && <p style={{ color: "red" }}>Verification failed. Please try again.</p>}
+      {status === "not-found" && (
+        <div className="status-msg">
+          <h3>Not stamped</h3>
+          <p>No VaultStamp record exists for this hash.</p>
+          {possibleMatch && possibleMatch.forHash === routeHash?.toLowerCase() && (
+            <p style={{ color: "orange" }}>
+              Possible match ({MATCHED_BY_LABELS[possibleMatch.matchedBy]}):{" "}
+              <a href={`/verify/${possibleMatch.stampHash}`} className="font-mono">{possibleMatch.stampHash}</a>.
+              That hash was reported by the stamper's browser and is not checked by the canister.
+            </p>
+          )}
+        </div>
+      )}
+      {status === "found" && record && (
+        <div className="tab-content active">
+          <h3>Stamped on VaultStamp</h3>
+          {certified === true && (
+            <p style={{ color: "limegreen" }}>✔ Cryptographically certified by the Internet Computer</p>
+          )}
+          {certified === false && (
+            <p style={{ color: "orange" }}>⚠ This answer could not be certified; treat it as unverified.</p>
+          )}
+          <p>Hash: <span className="font-mono">{routeHash.toLowerCase()}</span></p>
+          {/* Canister timestamps are nanoseconds → milliseconds for Date */}
+          <p>Stamped: {new Date(Number(record.timestamp) / 1_000_000).toLocaleString()}</p>
+          <p>Owner: <span className="font-mono">{record.owner.toText()}</span></p>
+          <Provenance transfers={record.transfers} />
+          <p>File type: {record.fileType || "unknown"}</p>
+          <button onClick={() => navigator.clipboard.writeText(window.location.href)}>Copy Link</button>
+        </div>
+      )}
+    </div>
+  );
+}
+
 /*****************************************************************************************
  * Notifications
  *
  * Purpose:
- * - Displays server-sourced alerts/notifications. On mount (or when `actor` changes),
- *   requests the backend to push a dummy notification, then fetches the alert list.
+ * - Displays the user's alert inbox. The canister raises an alert for a stamp's owner
+ *   when another user submits an exact duplicate (SHA-256 match) or a near-duplicate
+ *   image (combined perceptual-hash similarity above the threshold).
  *
  * Inputs/Props:
- * - actor: backend actor instance with methods `sendDummyNotification` and `getAlerts`.
+ * - actor: backend actor instance (getAlerts, markAlertRead, markAllAlertsRead, deleteAlert).
+ * - onUnreadChange:(count:number) => void — keeps the Header badge in sync.
  *
  * Behavior:
- * - `useEffect` triggers when `actor` becomes available. Shows a loading state, then
- *   renders either "No notifications" or a bulleted list of alert strings.
+ * - Loads the newest ALERTS_PAGE_SIZE alerts when `actor` becomes available; "Load more"
+ *   appends the next page. Unread alerts are highlighted and can be marked read one by
+ *   one or all at once; any alert can be deleted.
+ * - Every response carries the inbox's unread count, which is forwarded to the badge.
  *
  * Error handling:
- * - Catches any actor call failures and surfaces a single fallback message.
- *
- * Notes:
- * - This demo triggers a dummy server mutation on every mount/actor change; for real
- *   systems, replace with a push channel (stream/websocket) or polling strategy.
+ * - Catches any actor call failure (loading, marking read, deleting) and surfaces a
+ *   fallback message for the action that failed.
  *****************************************************************************************/
-function Notifications({ actor }) {
-  const [alerts, setAlerts] = useState([]);   // List of alert strings retrieved from backend
+const ALERTS_PAGE_SIZE = 20;
+
+function Notifications({ actor, onUnreadChange }) {
+  const [alerts, setAlerts] = useState([]);   // Alerts loaded so far, newest first
+  const [total, setTotal] = useState(0);      // Size of the whole inbox
   const [loading, setLoading] = useState(true); // Loading indicator for UX feedback
+  const [error, setError] = useState("");
 
+  // Fetches one page starting at `offset`; offset 0 replaces the list
+  async function fetchAlerts(offset) {
+    setLoading(true);
+    try {
+      const page = await actor.getAlerts(BigInt(offset), BigInt(ALERTS_PAGE_SIZE));
+      setAlerts(prev => (offset === 0 ? page.alerts : [...prev, ...page.alerts]));
+      setTotal(Number(page.total));
+      onUnreadChange(Number(page.unread));
+      setError("");
+    } catch (e) {
+      // On any failure (network, auth, canister), show a single fallback line
+      setError("Failed to fetch notifications.");
+    }
+    setLoading(false);
+  }
+
+  // Only run when an actor instance is available and when it changes (e.g., login/logout)
   useEffect(() => {
-    async function fetchAlerts() {
-      setLoading(true);
-      try {
-        // Demo: force the server to generate an example notification before fetching
-        await actor.sendDummyNotification();
-        // Retrieve current alert list from the backend canister
-        const result = await actor.getAlerts();
-        setAlerts(result);
-      } catch (e) {
-        // On any failure (network, auth, canister), show a single fallback line
-        setAlerts(["Failed to fetch notifications."]);
+    if (actor) fetchAlerts(0);
+  }, [actor]);
+
+  async function markRead(id) {
+    try {
+      if (await actor.markAlertRead(id)) {
+        setAlerts(prev => prev.map(alert => (alert.id === id ? { ...alert, read: true } : alert)));
+        onUnreadChange(Number(await actor.getUnreadAlertCount()));
       }
-      setLoading(false);
+      setError("");
+    } catch (e) {
+      setError("Failed to mark the notification as read.");
     }
-    // Only run when an actor instance is available and when it changes (e.g., login/logout)
-    if (actor) fetchAlerts();
-  }, [actor]);
+  }
+
+  async function markAllRead() {
+    try {
+      await actor.markAllAlertsRead();
+      setAlerts(prev => prev.map(alert => ({ ...alert, read: true })));
+      onUnreadChange(0);
+      setError("");
+    } catch (e) {
+      setError("Failed to mark the notifications as read.");
+    }
+  }
+
+  async function remove(id) {
+    try {
+      if (await actor.deleteAlert(id)) {
+        setAlerts(prev => prev.filter(alert => alert.id !== id));
+        setTotal(t => t - 1);
+        onUnreadChange(Number(await actor.getUnreadAlertCount()));
+      }
+      setError("");
+    } catch (e) {
+      setError("Failed to delete the notification.");
+    }
+  }
+
+  // Candid variant → { exactDuplicate: null } | { nearDuplicate: null } | { transferOffer: null }
+  const kindLabels = { exactDuplicate: "Exact duplicate", nearDuplicate: "Near-duplicate", transferOffer: "Transfer offer" };
+  const kindLabel = alert => kindLabels[Object.keys(alert.kind)[0]];
 
   return (
     <div className="view active">
       <h2 className="text-xl font-bold mb-4">Notifications</h2>
-      {loading ? (
-        // Loading state while calls are in flight
+      {error && <p className="status-msg">{error}</p>}
+      {alerts.some(alert => !alert.read) && (
+        <button onClick={markAllRead} className="mb-4">Mark all as read</button>
+      )}
+      {loading && alerts.length === 0 ? (
+        // Loading state while the first page is in flight
         <p>Loading notifications...</p>
       ) : alerts.length === 0 ? (
-        // Empty state when the server returns no alerts
+        // Empty state when the inbox is empty
         <p>No notifications yet.</p>
       ) : (
-        // Render all alerts as a simple list (could replace with timeline UI)
         <ul>
-          {alerts.map((alert, idx) => (
-            <li key={idx} className="status-msg">{alert}</li>
+          {alerts.map((alert) => (
+            <li key={alert.id.toString()} className={`status-msg alert-item${alert.read ? "" : " unread"}`}>
+              <div className="flex items-center justify-between">
+                <strong>{kindLabel(alert)}</strong>
+                <span className="text-sm">{new Date(Number(alert.createdAt) / 1_000_000).toLocaleString()}</span>
+              </div>
+              <div>{alert.payload.message}</div>
+              <div className="text-sm">
+                {"transferOffer" in alert.kind ? "Offered stamp" : "Your stamp"}: <a href={`/verify/${alert.stampHash}`} className="font-mono">{alert.stampHash}</a>
+              </div>
+              <div>
+                {!alert.read && <button onClick={() => markRead(alert.id)}>Mark as read</button>}
+                <button onClick={() => remove(alert.id)} style={{ marginLeft: "10px" }}>Delete</button>
+              </div>
+            </li>
           ))}
         </ul>
       )}
+      {alerts.length < total && (
+        <button onClick={() => fetchAlerts(alerts.length)} disabled={loading}>
+          {loading ? "Loading…" : "Load more"}
+        </button>
+      )}
     </div>
   );
 }
+const UNREAD_ALERTS_POLL_MS = 60_000; // How often the bell badge re-checks for new alerts
+const RECENT_STAMPS_LIMIT = 100; // Stamps offered in the Uploads revision picker
+
 // ======================================================================
 // App Component
 // ======================================================================
@@ -594,7 +1683,7 @@ between different sections of the application.
 Detailed responsibilities:
 1. Initializes and updates the authentication actor (via Internet Identity).
 2. Handles user login/logout flow.
-3. Manages file upload, hashing, and storage interaction with the backend.
+3. Manages the batch upload queue (hashing, bounded-concurrency uploads, retries) and storage interaction with the backend.
 4. Loads files belonging to the user after successful authentication.
 5. Defines the main navigation structure (routes) using React Router.
 6. Displays global UI components such as Header, Notifications, and Chatbot.
@@ -607,9 +1696,18 @@ function App() {
   const [isAuthenticated, setIsAuthenticated] = useState(false); // Tracks whether user is logged in
   const [authClient, setAuthClient] = useState(); // Stores the authentication client instance
   const [actor, setActor] = useState(); // Stores the actor object used to call backend canister
-  const [files, setFiles] = useState([]); // List of uploaded files retrieved from backend
+  const [files, setFiles] = useState([]); // Most recent stamps (latest revisions), for the revision picker
+  const [stampsRefreshKey, setStampsRefreshKey] = useState(0); // Bumped when stamps change so My Stamps reloads
   const [errorMessage, setErrorMessage] = useState(); // Holds error messages to display to users
-  const [uploadSuccessMessage, setUploadSuccessMessage] = useState(""); // Confirmation after upload
+  const [queue, setQueue] = useState([]); // Batch upload queue items (see uploadQueue.js)
+  const [pendingUploads, setPendingUploads] = useState(getPendingUploads); // Interrupted chunked sessions from earlier page loads
+  const waitingRef = useRef([]); // Queue items not yet picked up by a worker
+  const activeWorkersRef = useRef(0); // Number of running upload workers (≤ MAX_CONCURRENT_UPLOADS)
+  const abortControllersRef = useRef(new Map()); // Queue item id → AbortController of the item being fingerprinted or uploaded
+  const [fingerprintOnly, setFingerprintOnly] = useState(false); // Stamp hashes only; file content stays local
+  const [unreadAlerts, setUnreadAlerts] = useState(0); // Unread notification count shown on the bell
+  const [revisionOf, setRevisionOf] = useState(""); // Hash of the stamp newly queued files revise ("" = new design)
+  const [quotaUsage, setQuotaUsage] = useState(null); // Stamps today and bytes stored against the user's quota
   const [showChat, setShowChat] = useState(false); // Toggles chatbot visibility
 
   // useEffect hook runs once on mount → initializes the actor
@@ -622,9 +1720,31 @@ function App() {
   useEffect(() => {
     if (isAuthenticated) {
       loadFiles();
+    } else {
+      setQuotaUsage(null);
     }
   }, [isAuthenticated]);
 
+  // Keep the bell badge current: poll the unread count while logged in
+  useEffect(() => {
+    if (!isAuthenticated || !actor) {
+      setUnreadAlerts(0);
+      return;
+    }
+    const refresh = () => actor.getUnreadAlertCount()
+      .then(count => setUnreadAlerts(Number(count)))
+      .catch(error => console.warn("Failed to load unread alerts:", error));
+    refresh();
+    const timer = setInterval(refresh, UNREAD_ALERTS_POLL_MS);
+    return () => clearInterval(timer);
+  }, [isAuthenticated, actor]);
+
+  // Refresh "My Stamps" once per finished batch rather than once per file
+  const queueSummary = summarizeQueue(queue);
+  useEffect(() => {
+    if (queueSummary.done && queueSummary.stamped > 0) loadFiles();
+  }, [queueSummary.done]);
+
   // -------------------------------
   // updateActor
   // -------------------------------
@@ -686,15 +1806,22 @@ function App() {
   // loadFiles
   // -------------------------------
   /*
-  Fetches all files associated with the authenticated user.
-  1. Calls getFiles() from the backend canister.
-  2. Updates the `files` state with the returned list.
-  3. Handles errors gracefully and shows error messages.
+  Refreshes the user's stamps after a change.
+  1. Calls getFiles() for the newest page of stamps (latest revisions only; at most
+     RECENT_STAMPS_LIMIT) and stores it in `files` for the Uploads revision picker.
+  2. Bumps `stampsRefreshKey` so My Stamps reloads its own paged listing.
+  3. Reloads the quota usage shown in the Uploads view.
+  4. Handles errors gracefully and shows error messages.
   */
   async function loadFiles() {
+    setStampsRefreshKey(key => key + 1);
     try {
-      const fileList = await actor.getFiles();
-      setFiles(fileList);
+      const [page, usage] = await Promise.all([
+        actor.getFiles(buildFileQuery({ limit: RECENT_STAMPS_LIMIT })),
+        actor.getQuotaUsage()
+      ]);
+      setFiles(page.files);
+      setQuotaUsage(usage);
     } catch (error) {
       console.error('Failed to load files:', error);
       setErrorMessage('Failed to load files. Please try again.');
@@ -702,60 +1829,165 @@ function App() {
   }
 
   // -------------------------------
-  // handleFileUpload
+  // updateQueueItem
   // -------------------------------
   /*
-  Handles the full file upload process.
-  1. Ensures user selected a file.
-  2. Checks with backend if the file already exists.
-  3. Reads file content into an ArrayBuffer.
-  4. Generates a SHA-256 hash of the content for uniqueness verification.
-  5. Sends file (name, content, type) to backend via actor.uploadFile.
-  6. Updates UI with success or error messages depending on result.
-  7. Reloads file list after successful upload.
+  Merges `patch` into the queue item with the given id (immutable update).
   */
-  async function handleFileUpload(event) {
-    const file = event.target.files[0];
+  function updateQueueItem(id, patch) {
+    setQueue(q => q.map(item => (item.id === id ? { ...item, ...patch } : item)));
+  }
+
+  // -------------------------------
+  // enqueueFiles
+  // -------------------------------
+  /*
+  Adds picked or dropped files to the batch queue and starts workers.
+  The fingerprint-only and revision settings are captured per item at the moment it is queued.
+  */
+  function enqueueFiles(fileList) {
+    const items = createQueueItems(fileList).map(item => ({ ...item, fingerprintOnly, revisionOf }));
+    if (items.length === 0) return;
     setErrorMessage("");
-    setUploadSuccessMessage("");
+    setQueue(q => [...q, ...items]);
+    waitingRef.current.push(...items);
+    startWorkers();
+  }
 
-    if (!file) {
-      setErrorMessage("Please select a file to upload.");
-      return;
+  // -------------------------------
+  // startWorkers / runWorker
+  // -------------------------------
+  /*
+  Bounded concurrency: at most MAX_CONCURRENT_UPLOADS workers run at once, each
+  taking the next waiting item until none are left. The worker count is
+  decremented synchronously after the last item, so items queued meanwhile are
+  never left without a worker.
+  */
+  function startWorkers() {
+    while (activeWorkersRef.current < MAX_CONCURRENT_UPLOADS && waitingRef.current.length > 0) {
+      activeWorkersRef.current += 1;
+      runWorker();
     }
+  }
 
-    // Prevent duplicate uploads
-    if (await actor.checkFileExists(file.name)) {
-      setErrorMessage(`File "${file.name}" already exists.`);
-      return;
+  async function runWorker() {
+    while (waitingRef.current.length > 0) {
+      await stampQueueItem(waitingRef.current.shift());
     }
+    activeWorkersRef.current -= 1;
+  }
 
-    const reader = new FileReader();
-    reader.onload = async (e) => {
-      const content = e.target.result;
-      const hashBuffer = await crypto.subtle.digest('SHA-256', content);
-      const hashArray = Array.from(new Uint8Array(hashBuffer));
-      const hashHex = hashArray.map(b => b.toString(16).padStart(2, '0')).join('');
-      console.log("Upload hash:", hashHex);
+  // -------------------------------
+  // stampQueueItem
+  // -------------------------------
+  /*
+  Handles the full upload process for one queued file.
+  1. For images, decodes the file onto a canvas and computes its fingerprint (aHash, dHash,
+     pHash and wavelet hash, each on the original, mirrored and grayscale variants); for
+     text documents (plain text, PDF, DOCX), extracts the text and computes MinHash/SimHash;
+     for videos, samples one frame per second and computes each frame's pHash; for audio,
+     decodes it with the Web Audio API and computes spectral sub-fingerprints.
+  2. In fingerprint-only mode, hashes the file locally with crypto.subtle and sends
+     just the SHA-256, fingerprints and metadata via actor.stampHash; no content is uploaded.
+     Otherwise, files that fit in one message go to actor.uploadFile (name, content, type, fingerprints).
+  3. Larger files go through a chunked upload session; the canister computes the
+     SHA-256 incrementally, and an interrupted session resumes when the same file is re-selected.
+  4. Records the outcome on the queue item (stamped, duplicate or failed + a message localized
+     from the canister's error code). Stamps
+     are keyed by content, so files sharing a name are fine; only identical content is a duplicate. When
+     another user owns the content, the canister records a contested claim and the item
+     keeps the original stamp's hash so the user can open its public verify page.
+  Never throws, so one bad file cannot stop its worker.
+  */
+  async function stampQueueItem(item) {
+    const { id, file } = item;
+    updateQueueItem(id, { status: QUEUE_STATUS.hashing, message: "" });
+    // Cancel aborts fingerprinting as well as a chunked upload
+    const controller = new AbortController();
+    abortControllersRef.current.set(id, controller);
 
-      try {
-        const result = await actor.uploadFile(file.name, new Uint8Array(content), file.type);
-        if (result === "File uploaded successfully!") {
-          setUploadSuccessMessage(`File "${file.name}" uploaded successfully!`);
-          setErrorMessage("");
-          loadFiles();
-        } else {
-          setErrorMessage(result);
-          setUploadSuccessMessage("");
-        }
-      } catch (error) {
+    try {
+      // Similarity signatures for near-duplicate detection (perceptual hashes, document MinHash/SimHash)
+      const fingerprints = await computeFingerprints(file, { signal: controller.signal });
+      const previous = item.revisionOf || null; // Candid opt text below: [] or [hash]
+
+      let result;
+      if (item.fingerprintOnly) {
+        const hashHex = await sha256Hex(file);
+        updateQueueItem(id, { status: QUEUE_STATUS.uploading });
+        result = await actor.stampHash(hashHex, fingerprints, file.name, file.type, BigInt(file.size), previous === null ? [] : [previous]);
+      } else if (file.size <= CHUNK_SIZE) {
+        updateQueueItem(id, { status: QUEUE_STATUS.uploading });
+        const content = new Uint8Array(await file.arrayBuffer());
+        result = await actor.uploadFile(file.name, content, file.type, fingerprints, previous === null ? [] : [previous]);
+      } else {
+        updateQueueItem(id, { status: QUEUE_STATUS.uploading, progress: { received: 0, total: file.size } });
+        result = await uploadInChunks(actor, file, {
+          fingerprints,
+          previous,
+          signal: controller.signal,
+          onProgress: (received, total) => updateQueueItem(id, { progress: { received, total } })
+        });
+      }
+
+      // Candid Result → { ok: StampReceipt } | { err: StampError }
+      if ("ok" in result) {
+        updateQueueItem(id, { status: QUEUE_STATUS.stamped, message: "" });
+      } else {
+        const code = stampErrorCode(result.err);
+        const duplicate = code === "duplicateByOther" || code === "duplicateBySelf";
+        updateQueueItem(id, {
+          status: duplicate ? QUEUE_STATUS.duplicate : QUEUE_STATUS.failed,
+          message: describeStampError(result.err),
+          // The canister recorded a contested claim; link the original stamp
+          originalHash: code === "duplicateByOther" ? result.err.duplicateByOther.stampHash : null
+        });
+      }
+    } catch (error) {
+      if (error.name === "AbortError") {
+        updateQueueItem(id, { status: QUEUE_STATUS.failed, message: "Cancelled." });
+      } else {
         console.error("Upload failed:", error);
-        setErrorMessage(`Failed to upload ${file.name}.`);
-        setUploadSuccessMessage("");
+        updateQueueItem(id, { status: QUEUE_STATUS.failed, message: `Failed to upload ${file.name}.` });
       }
-    };
+    } finally {
+      abortControllersRef.current.delete(id);
+      updateQueueItem(id, { progress: null });
+      setPendingUploads(getPendingUploads()); // A chunked upload that stopped part-way stays resumable
+    }
+  }
+
+  // -------------------------------
+  // retryQueueItems / cancelQueueItem / clearFinishedQueueItems
+  // -------------------------------
+  /*
+  Retry puts failed items back in line; cancel drops a waiting item, or aborts the
+  item in flight while it is fingerprinted or uploaded in chunks (the upload loop
+  cancels the session on the canister);
+  clear removes every finished item from the list.
+  */
+  function retryQueueItems(ids) {
+    const items = queue.filter(item => ids.includes(item.id) && item.status === QUEUE_STATUS.failed);
+    if (items.length === 0) return;
+    setQueue(q => q.map(item => (items.some(r => r.id === item.id) ? { ...item, status: QUEUE_STATUS.queued, message: "" } : item)));
+    waitingRef.current.push(...items);
+    startWorkers();
+  }
+
+  function cancelQueueItem(id) {
+    const waitingIndex = waitingRef.current.findIndex(item => item.id === id);
+    if (waitingIndex !== -1) {
+      waitingRef.current.splice(waitingIndex, 1);
+      updateQueueItem(id, { status: QUEUE_STATUS.failed, message: "Cancelled." });
+      return;
+    }
+    const controller = abortControllersRef.current.get(id);
+    if (controller) controller.abort();
+  }
 
-    reader.readAsArrayBuffer(file);
+  function clearFinishedQueueItems() {
+    const finished = [QUEUE_STATUS.stamped, QUEUE_STATUS.duplicate, QUEUE_STATUS.failed];
+    setQueue(q => q.filter(item => !finished.includes(item.status)));
   }
 
   // -------------------------------
@@ -763,7 +1995,7 @@ function App() {
   // -------------------------------
   return (
     <Router>
-      <Header isAuthenticated={isAuthenticated} login={login} logout={logout} />
+      <Header isAuthenticated={isAuthenticated} login={login} logout={logout} unreadAlerts={unreadAlerts} />
       <div>
         <Routes>
           <Route path="/" element={<Home />} />
@@ -772,9 +2004,21 @@ function App() {
             path="/upload"
             element={
               <Uploads
-                handleFileUpload={handleFileUpload}
+                onFilesSelected={enqueueFiles}
+                queue={queue}
+                summary={queueSummary}
+                onRetry={(id) => retryQueueItems([id])}
+                onRetryFailed={() => retryQueueItems(queue.map(item => item.id))}
+                onCancel={cancelQueueItem}
+                onClearFinished={clearFinishedQueueItems}
                 errorMessage={errorMessage}
-                uploadSuccessMessage={uploadSuccessMessage}
+                pendingUploads={pendingUploads}
+                fingerprintOnly={fingerprintOnly}
+                onFingerprintOnlyChange={setFingerprintOnly}
+                stamps={files}
+                revisionOf={revisionOf}
+                onRevisionOfChange={setRevisionOf}
+                quotaUsage={quotaUsage}
               />
             }
           />
@@ -782,21 +2026,26 @@ function App() {
             path="/my-stamps"
             element={
               <UploadedFiles
-                files={files}
+                actor={actor}
+                refreshKey={stampsRefreshKey}
+                onFilesChanged={loadFiles}
               />
             }
           />
           <Route
             path="/plagiarism-check"
-            element={<PlagiarismCheck />}
+            element={<PlagiarismCheck actor={actor} />}
           />
           <Route
             path="/verify-design"
             element={<VerifyFiles />}
           />
+          {/* Public, login-free verification; /verify/:hash is the shareable form */}
+          <Route path="/verify" element={<PublicVerify />} />
+          <Route path="/verify/:hash" element={<PublicVerify />} />
           <Route
             path="/notifications"
-            element={<Notifications actor={actor} />}
+            element={<Notifications actor={actor} onUnreadChange={setUnreadAlerts} />}
           />
         </Routes>
       </div>
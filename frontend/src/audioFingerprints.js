@@ -0,0 +1,169 @@
+/************************************************************
+ * VaultStamp Frontend: Audio Fingerprints
+ *
+ * Sound logos and music are fingerprinted by spectral sub-fingerprints in the
+ * style of Haitsma & Kalker: the Web Audio API decodes the file and resamples
+ * it to SAMPLE_RATE; the mono signal is cut into overlapping frames, and each
+ * frame's spectrum is summed into 65 logarithmically spaced bands between 300
+ * and 3000 Hz. Bit m of a frame's 64-bit value is set when the energy
+ * difference between bands m and m + 1 grew since the previous frame.
+ *
+ * Only the shape of the spectrum over time enters the bits, so re-encoding
+ * (MP3, AAC, Ogg), resampling and volume changes flip few of them, and an
+ * excerpt is a shifted stretch of the same sequence.
+ *
+ * Everything here runs locally; only the sub-fingerprints reach the canister.
+ ************************************************************/
+
+// Rate the audio is resampled to before analysis (covers the bands below)
+const SAMPLE_RATE = 8000;
+
+// Samples per analysed frame (512 ms), a power of two for the FFT
+const FRAME_SIZE = 4096;
+
+// Time between the starts of consecutive frames; frames overlap by 80%
+export const HOP_MS = 100;
+const HOP_SIZE = (SAMPLE_RATE * HOP_MS) / 1000;
+
+// Most frames computed (the canister's MAX_AUDIO_FRAMES); longer recordings are fingerprinted by their first 5 minutes
+const MAX_AUDIO_FRAMES = 3000;
+
+// Frequency range split into 65 bands, giving 64 band differences per frame
+const LOW_HZ = 300;
+const HIGH_HZ = 3000;
+const BAND_COUNT = 65;
+
+// Returns true when the browser reports the file as audio
+export function isAudioFile(file) {
+  return Boolean(file && file.type && file.type.startsWith('audio/'));
+}
+
+// First FFT bin of each band, plus the end of the last band (BAND_COUNT + 1 edges)
+const BAND_EDGES = Array.from({ length: BAND_COUNT + 1 }, (_, m) =>
+  Math.round((LOW_HZ * Math.pow(HIGH_HZ / LOW_HZ, m / BAND_COUNT) * FRAME_SIZE) / SAMPLE_RATE)
+);
+
+const HANN = Float64Array.from({ length: FRAME_SIZE }, (_, i) => 0.5 - 0.5 * Math.cos((2 * Math.PI * i) / (FRAME_SIZE - 1)));
+
+// Bit-reversed index of every FFT input position
+const BIT_REVERSED = (() => {
+  const bits = Math.log2(FRAME_SIZE);
+  return Uint32Array.from({ length: FRAME_SIZE }, (_, i) => {
+    let reversed = 0;
+    for (let b = 0; b < bits; b++) reversed |= ((i >> b) & 1) << (bits - 1 - b);
+    return reversed;
+  });
+})();
+
+/*
+In-place iterative radix-2 FFT of FRAME_SIZE complex values (re, im).
+*/
+function fft(re, im) {
+  for (let i = 0; i < FRAME_SIZE; i++) {
+    const j = BIT_REVERSED[i];
+    if (j > i) {
+      [re[i], re[j]] = [re[j], re[i]];
+      [im[i], im[j]] = [im[j], im[i]];
+    }
+  }
+  for (let size = 2; size <= FRAME_SIZE; size *= 2) {
+    const half = size / 2;
+    const step = (-2 * Math.PI) / size;
+    for (let start = 0; start < FRAME_SIZE; start += size) {
+      for (let k = 0; k < half; k++) {
+        const cos = Math.cos(step * k);
+        const sin = Math.sin(step * k);
+        const a = start + k;
+        const b = a + half;
+        const tre = re[b] * cos - im[b] * sin;
+        const tim = re[b] * sin + im[b] * cos;
+        re[b] = re[a] - tre;
+        im[b] = im[a] - tim;
+        re[a] += tre;
+        im[a] += tim;
+      }
+    }
+  }
+}
+
+// Band energies of the frame of `samples` starting at `offset`
+function bandEnergies(samples, offset, re, im) {
+  for (let i = 0; i < FRAME_SIZE; i++) {
+    re[i] = samples[offset + i] * HANN[i];
+    im[i] = 0;
+  }
+  fft(re, im);
+  const energies = new Float64Array(BAND_COUNT);
+  for (let m = 0; m < BAND_COUNT; m++) {
+    for (let k = BAND_EDGES[m]; k < BAND_EDGES[m + 1]; k++) energies[m] += re[k] * re[k] + im[k] * im[k];
+  }
+  return energies;
+}
+
+// Decodes an audio file to mono samples at SAMPLE_RATE
+async function decodeMono(file) {
+  // decodeAudioData resamples to its context's rate; an offline context needs no audio device
+  const context = new OfflineAudioContext(1, 1, SAMPLE_RATE);
+  let buffer;
+  try {
+    buffer = await context.decodeAudioData(await file.arrayBuffer());
+  } catch {
+    throw new Error('The browser could not decode this audio file.');
+  }
+  const samples = new Float32Array(buffer.length);
+  for (let channel = 0; channel < buffer.numberOfChannels; channel++) {
+    const data = buffer.getChannelData(channel);
+    for (let i = 0; i < samples.length; i++) samples[i] += data[i] / buffer.numberOfChannels;
+  }
+  return samples;
+}
+
+/*
+Decodes an audio file and returns its fingerprint.
+Shape (matches the canister's AudioFingerprint):
+  { frames: bigint[] (sub-fingerprint per frame), hopMs: bigint }
+Throws when the file cannot be decoded or is shorter than about 0.6 seconds.
+
+Options:
+- onProgress: (framesDone:number, frameCount:number) => void
+*/
+export async function audioFingerprint(file, { onProgress } = {}) {
+  const samples = await decodeMono(file);
+  // Window 0 only serves as the "previous frame" of window 1
+  const frameCount = Math.min(MAX_AUDIO_FRAMES, Math.floor((samples.length - FRAME_SIZE) / HOP_SIZE));
+  if (!(frameCount > 0)) throw new Error('The recording is too short to fingerprint.');
+
+  const re = new Float64Array(FRAME_SIZE);
+  const im = new Float64Array(FRAME_SIZE);
+  let previous = bandEnergies(samples, 0, re, im);
+  const frames = [];
+  for (let n = 1; n <= frameCount; n++) {
+    const energies = bandEnergies(samples, n * HOP_SIZE, re, im);
+    let value = 0n;
+    for (let m = 0; m < BAND_COUNT - 1; m++) {
+      const change = energies[m] - energies[m + 1] - (previous[m] - previous[m + 1]);
+      value = (value << 1n) | (change > 0 ? 1n : 0n);
+    }
+    frames.push(value);
+    previous = energies;
+    if (n % 250 === 0 || n === frameCount) {
+      if (onProgress) onProgress(n, frameCount);
+      await new Promise(resolve => setTimeout(resolve)); // Keep the page responsive
+    }
+  }
+  return { frames, hopMs: BigInt(HOP_MS) };
+}
+
+/*
+Convenience wrapper used by the upload flow: the fingerprint of an audio file,
+or null when the file is not audio or cannot be decoded.
+*/
+export async function computeAudioFingerprint(file) {
+  if (!isAudioFile(file)) return null;
+  try {
+    return await audioFingerprint(file);
+  } catch (error) {
+    console.warn('Audio fingerprint skipped:', error);
+    return null;
+  }
+}
@@ -0,0 +1,74 @@
+/************************************************************
+ * VaultStamp Frontend: Certified Stamp Verification
+ *
+ * `verifyFileByHash` is a query, answered by a single replica. To make the
+ * answer trustworthy, the canister returns two extra blobs with each record:
+ * - certificate: signed by the subnet, vouching for the canister's certified data
+ * - witness: a CBOR hash tree proving that the stamp is part of that certified data
+ *
+ * This module checks both against the IC root key, so a verifier does not have
+ * to trust whichever replica answered.
+ ************************************************************/
+import { Actor, Certificate, Cbor, lookup_path, lookupResultToBuffer, reconstruct } from '@dfinity/agent';
+import { Principal } from '@dfinity/principal';
+
+function bytesEqual(a, b) {
+  const x = new Uint8Array(a);
+  const y = new Uint8Array(b);
+  return x.length === y.length && x.every((byte, i) => byte === y[i]);
+}
+
+/*
+Rebuilds the leaf value the canister certified for a stamp: the SHA-256 of the
+concatenated SHA-256 digests of owner, timestamp, fileType and name, then of
+fromOwner, toOwner and timestamp per transfer (see stampLeaf in backend/app.mo).
+*/
+async function stampLeaf(record) {
+  const fields = [record.owner.toText(), record.timestamp.toString(), record.fileType, record.name];
+  for (const t of record.transfers) fields.push(t.fromOwner.toText(), t.toOwner.toText(), t.timestamp.toString());
+  const encoder = new TextEncoder();
+  const digests = await Promise.all(fields.map(field => crypto.subtle.digest('SHA-256', encoder.encode(field))));
+  const joined = new Uint8Array(32 * digests.length);
+  digests.forEach((digest, i) => joined.set(new Uint8Array(digest), 32 * i));
+  return crypto.subtle.digest('SHA-256', joined);
+}
+
+/*
+Returns true when `record` (the `ok` value returned by verifyFileByHash for `hash`)
+is covered by a valid certificate for the backend canister.
+1. Validates the certificate's BLS signature against the root key (and its freshness).
+2. Reads the canister's certified data (the registry root hash) from it.
+3. Recomputes the witness root and checks it equals the certified data.
+4. Looks up ["registry", hash] in the witness and checks it equals the record's leaf.
+Any failure (missing blobs, bad signature, mismatching hashes) yields false.
+*/
+export async function verifyStampCertificate(actor, canisterId, hash, record) {
+  const [certificate] = record.certificate;
+  const [witness] = record.witness;
+  if (!certificate || !witness) return false;
+
+  try {
+    const agent = Actor.agentOf(actor);
+    // Local replicas sign with their own key; mainnet uses the hard-coded IC root key
+    if (process.env.DFX_NETWORK !== 'ic') await agent.fetchRootKey();
+
+    const principal = Principal.fromText(canisterId);
+    const cert = await Certificate.create({
+      certificate: new Uint8Array(certificate).buffer,
+      rootKey: agent.rootKey,
+      canisterId: principal
+    });
+
+    const certifiedData = lookupResultToBuffer(cert.lookup(['canister', principal.toUint8Array(), 'certified_data']));
+    if (!certifiedData) return false;
+
+    const tree = Cbor.decode(new Uint8Array(witness).buffer);
+    if (!bytesEqual(await reconstruct(tree), certifiedData)) return false;
+
+    const leaf = lookupResultToBuffer(lookup_path(['registry', hash], tree));
+    return Boolean(leaf) && bytesEqual(leaf, await stampLeaf(record));
+  } catch (error) {
+    console.warn('Certificate verification failed:', error);
+    return false;
+  }
+}
@@ -0,0 +1,137 @@
+/************************************************************
+ * VaultStamp Frontend: Chunked, Resumable Uploads
+ *
+ * Files larger than a single ingress message (~2 MB) are sent to the canister
+ * through an upload session: beginUpload → uploadChunk × N → commitUpload.
+ * The canister hashes chunks as they arrive, so the upload itself holds only
+ * one chunk in memory at a time. (The similarity fingerprints computed before
+ * the upload may still read the whole file.)
+ *
+ * Open sessions are remembered in localStorage, one per local file. If the page
+ * is reloaded mid-upload, selecting the same file again resumes from the last
+ * chunk the canister acknowledged instead of starting over.
+ ************************************************************/
+
+// Bytes per uploadChunk call; leaves headroom under the ingress limit for Candid framing
+export const CHUNK_SIZE = 1_800_000;
+
+// localStorage key holding the interrupted sessions, keyed by fileKey()
+const PENDING_KEY = 'vaultstamp.pendingUploads';
+
+// A pending session only applies to the exact same local file
+function fileKey(file) {
+  return `${file.name}|${file.size}|${file.lastModified}`;
+}
+
+function readPending() {
+  try {
+    return JSON.parse(localStorage.getItem(PENDING_KEY)) || {};
+  } catch {
+    return {};
+  }
+}
+
+function writePending(pending) {
+  localStorage.setItem(PENDING_KEY, JSON.stringify(pending));
+}
+
+/*
+Returns the interrupted uploads remembered in localStorage.
+Shape: Array<{ sessionId: bigint, name, size, lastModified, type }>
+*/
+export function getPendingUploads() {
+  return Object.values(readPending()).map(p => ({ ...p, sessionId: BigInt(p.sessionId) }));
+}
+
+function getPendingUpload(file) {
+  const pending = readPending()[fileKey(file)];
+  return pending ? { ...pending, sessionId: BigInt(pending.sessionId) } : null;
+}
+
+function savePendingUpload(sessionId, file) {
+  const pending = readPending();
+  pending[fileKey(file)] = {
+    sessionId: sessionId.toString(), // BigInt is not JSON-serializable
+    name: file.name,
+    size: file.size,
+    lastModified: file.lastModified,
+    type: file.type
+  };
+  writePending(pending);
+}
+
+function clearPendingUpload(file) {
+  const pending = readPending();
+  delete pending[fileKey(file)];
+  writePending(pending);
+}
+
+/*
+Finds the session to continue for `file`: the remembered one if the canister
+still has it, otherwise a fresh session. Returns { sessionId, nextChunk, received },
+or { error } with the canister's StampError when no session could be started.
+*/
+async function openSession(actor, file, fingerprints, previous) {
+  const pending = getPendingUpload(file);
+  if (pending) {
+    // Candid opt record → [] when the session expired or was committed elsewhere
+    const [session] = await actor.getUploadSession(pending.sessionId);
+    if (session) {
+      return {
+        sessionId: pending.sessionId,
+        nextChunk: Number(session.chunkCount),
+        received: Number(session.received)
+      };
+    }
+  }
+
+  const begun = await actor.beginUpload(
+    file.name,
+    file.type,
+    BigInt(file.size),
+    fingerprints,
+    previous === null ? [] : [previous]
+  );
+  if ('err' in begun) return { error: begun.err };
+  savePendingUpload(begun.ok, file);
+  return { sessionId: begun.ok, nextChunk: 0, received: 0 };
+}
+
+/*
+Uploads `file` through a chunked session and returns the canister's result, shaped
+like commitUpload's: { ok: StampReceipt } or { err: StampError } (also when beginning
+the session or sending a chunk fails).
+
+Options:
+- fingerprints: object — similarity signatures stored with the stamp (see computeFingerprints; sent when the session begins)
+- previous: string|null — hash of the caller's stamp this file is a revision of
+- onProgress: (receivedBytes:number, totalBytes:number) => void
+- signal: AbortSignal — aborting cancels the session on the canister and rejects
+  with an Error whose name is "AbortError"
+*/
+export async function uploadInChunks(actor, file, { fingerprints = { image: [], text: [], video: [], audio: [], svgHash: [], pixelHash: [] }, previous = null, onProgress, signal } = {}) {
+  const { sessionId, nextChunk, received, error } = await openSession(actor, file, fingerprints, previous);
+  if (error) return { err: error };
+  const chunkCount = Math.ceil(file.size / CHUNK_SIZE);
+  if (onProgress) onProgress(received, file.size);
+
+  for (let index = nextChunk; index < chunkCount; index++) {
+    if (signal && signal.aborted) {
+      await actor.cancelUpload(sessionId);
+      clearPendingUpload(file);
+      throw new DOMException('Upload cancelled.', 'AbortError');
+    }
+
+    // Only the current slice is held in memory
+    const start = index * CHUNK_SIZE;
+    const bytes = new Uint8Array(await file.slice(start, start + CHUNK_SIZE).arrayBuffer());
+    const result = await actor.uploadChunk(sessionId, BigInt(index), bytes);
+    if ('err' in result) return result; // The session stays resumable
+    if (onProgress) onProgress(Number(result.ok), file.size);
+  }
+
+  const committed = await actor.commitUpload(sessionId);
+  // The canister keeps an incomplete session, so it can still be resumed
+  if ('ok' in committed || !('uploadIncomplete' in committed.err)) clearPendingUpload(file);
+  return committed;
+}
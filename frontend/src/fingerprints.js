@@ -0,0 +1,368 @@
+/************************************************************
+ * VaultStamp Frontend: File Fingerprints
+ *
+ * Helpers that hash files in the browser: the exact SHA-256 used as the stamp
+ * key, and perceptual hashes derived from decoded image pixels. Unlike SHA-256, a perceptual hash changes only slightly when an
+ * image is resized, re-compressed or lightly edited, which is what makes
+ * near-duplicate detection in the canister possible.
+ *
+ * One hash alone is easy to evade, so an image's fingerprint holds four 64-bit
+ * hashes (aHash, dHash, pHash, wavelet hash), each computed on three variants:
+ * the image as is, mirrored horizontally, and as contrast-equalized grayscale.
+ * The canister combines the per-algorithm distances into one score.
+ *
+ * SVGs are decoded from their canonical markup (see svgCanonical.js), and their
+ * canonical SHA-256 is stamped as well, so re-exports of a logo are recognised.
+ * Raster images get a second exact identifier too: the SHA-256 of their decoded
+ * pixels, which stripping metadata or re-saving losslessly does not change.
+ *
+ * Everything here runs locally (Web Crypto and canvas); no bytes leave the browser.
+ ************************************************************/
+
+import { computeTextFingerprint } from './textFingerprints';
+import { computeVideoFingerprint } from './videoFingerprints';
+import { computeAudioFingerprint } from './audioFingerprints';
+import { canonicalizeSvg, isSvgFile, rasterizableSvg } from './svgCanonical';
+
+// Side length of the grayscale thumbnail the DCT runs on (classic pHash uses 32x32)
+const DCT_SIZE = 32;
+
+// Side length of the low-frequency block kept from the DCT (8x8 = 64 bits)
+const HASH_SIZE = 8;
+
+/*
+Computes the SHA-256 of a File/Blob with Web Crypto and returns it as lowercase
+hex, the form the canister uses as the stamp key.
+*/
+export async function sha256Hex(blob) {
+  const hashBuffer = await crypto.subtle.digest('SHA-256', await blob.arrayBuffer());
+  return Array.from(new Uint8Array(hashBuffer)).map(b => b.toString(16).padStart(2, '0')).join('');
+}
+
+/*
+Returns true when the browser can be expected to decode the file as an image.
+Relies on the MIME type reported by the file picker.
+*/
+export function isImageFile(file) {
+  return Boolean(file && file.type && file.type.startsWith('image/'));
+}
+
+/*
+Returns the SHA-256 (hex) of an SVG file's canonical markup, or null when the
+file is not an SVG or cannot be parsed.
+*/
+export async function computeSvgHash(file) {
+  if (!isSvgFile(file)) return null;
+  try {
+    return await sha256Hex(new Blob([canonicalizeSvg(await file.text())]));
+  } catch (error) {
+    console.warn('Canonical SVG hash skipped:', error);
+    return null;
+  }
+}
+
+/*
+Returns the SHA-256 (hex) of a raster image's decoded pixels, or null for SVGs,
+non-images and images the browser cannot decode. Pixels are read as stored in the
+file: without applying the EXIF orientation, the colour profile or alpha
+premultiplication, so edits to metadata and lossless re-saves (stripped EXIF, other
+PNG compression) keep the hash. The width and height are hashed in front of the
+RGBA bytes, and fully transparent pixels count as transparent black whatever
+colour they store. Animated images are hashed by their first frame.
+*/
+export async function computePixelHash(file) {
+  if (!isImageFile(file) || isSvgFile(file)) return null;
+  try {
+    const bitmap = await createImageBitmap(file, { imageOrientation: 'none', colorSpaceConversion: 'none', premultiplyAlpha: 'none' });
+    const { width, height } = bitmap;
+    const canvas = document.createElement('canvas');
+    canvas.width = width;
+    canvas.height = height;
+    const ctx = canvas.getContext('2d', { willReadFrequently: true });
+    ctx.drawImage(bitmap, 0, 0);
+    bitmap.close();
+    const pixels = ctx.getImageData(0, 0, width, height).data;
+    for (let i = 0; i < pixels.length; i += 4) {
+      if (pixels[i + 3] === 0) pixels[i] = pixels[i + 1] = pixels[i + 2] = 0;
+    }
+    const size = new DataView(new ArrayBuffer(8));
+    size.setUint32(0, width);
+    size.setUint32(4, height);
+    return await sha256Hex(new Blob([size.buffer, pixels]));
+  } catch (error) {
+    console.warn('Pixel hash skipped:', error);
+    return null;
+  }
+}
+
+/*
+The identifiers a file is recognised by, shaped as the canister's ContentIdentifiers
+record (Candid opts: [] when absent, [value] when present):
+  { sha256: string, svgHash: [] | [string], pixelHash: [] | [string] }
+*/
+export async function computeContentIdentifiers(file) {
+  const [sha256, svgHash, pixelHash] = await Promise.all([sha256Hex(file), computeSvgHash(file), computePixelHash(file)]);
+  return {
+    sha256,
+    svgHash: svgHash === null ? [] : [svgHash],
+    pixelHash: pixelHash === null ? [] : [pixelHash]
+  };
+}
+
+/*
+Decodes an image File/Blob into an HTMLImageElement.
+An object URL is used (instead of createImageBitmap) so SVGs decode too; the
+URL is revoked once the image has loaded or failed. SVGs are decoded from their
+cleaned markup at a fixed pixel size, so ones without intrinsic dimensions draw too.
+*/
+export async function loadImage(file) {
+  const source = isSvgFile(file) ? new Blob([rasterizableSvg(await file.text())], { type: 'image/svg+xml' }) : file;
+  return new Promise((resolve, reject) => {
+    const url = URL.createObjectURL(source);
+    const img = new Image();
+    img.onload = () => {
+      URL.revokeObjectURL(url);
+      resolve(img);
+    };
+    img.onerror = () => {
+      URL.revokeObjectURL(url);
+      reject(new Error(`Could not decode image "${file.name}".`));
+    };
+    img.src = url;
+  });
+}
+
+/*
+Draws the image onto a width x height canvas (flipped horizontally when
+`mirrored`) and returns its luminance values (ITU-R BT.601 weights) as a
+Float64Array in row-major order.
+*/
+function grayscalePixels(img, width, height, mirrored) {
+  const canvas = document.createElement('canvas');
+  canvas.width = width;
+  canvas.height = height;
+  const ctx = canvas.getContext('2d', { willReadFrequently: true });
+  // Transparent regions are flattened onto white so logos hash the way they are seen
+  ctx.fillStyle = '#fff';
+  ctx.fillRect(0, 0, width, height);
+  if (mirrored) {
+    ctx.translate(width, 0);
+    ctx.scale(-1, 1);
+  }
+  ctx.drawImage(img, 0, 0, width, height);
+
+  const { data } = ctx.getImageData(0, 0, width, height);
+  const gray = new Float64Array(width * height);
+  for (let i = 0; i < gray.length; i++) {
+    gray[i] = 0.299 * data[i * 4] + 0.587 * data[i * 4 + 1] + 0.114 * data[i * 4 + 2];
+  }
+  return gray;
+}
+
+/*
+Computes the top-left `keep` x `keep` coefficients of the 2D DCT-II of a
+size x size matrix. Only the low frequencies are needed, so the separable
+transform is evaluated for those rows/columns alone.
+*/
+function lowFrequencyDct(pixels, size, keep) {
+  // cos[u][x] lookup shared by both passes
+  const cos = [];
+  for (let u = 0; u < keep; u++) {
+    cos[u] = new Float64Array(size);
+    for (let x = 0; x < size; x++) {
+      cos[u][x] = Math.cos(((2 * x + 1) * u * Math.PI) / (2 * size));
+    }
+  }
+
+  // Row pass: transform each row, keeping `keep` frequencies
+  const rows = new Float64Array(size * keep);
+  for (let y = 0; y < size; y++) {
+    for (let u = 0; u < keep; u++) {
+      let sum = 0;
+      for (let x = 0; x < size; x++) sum += pixels[y * size + x] * cos[u][x];
+      rows[y * keep + u] = sum;
+    }
+  }
+
+  // Column pass over the row results
+  const coeffs = new Float64Array(keep * keep);
+  for (let v = 0; v < keep; v++) {
+    for (let u = 0; u < keep; u++) {
+      let sum = 0;
+      for (let y = 0; y < size; y++) sum += rows[y * keep + u] * cos[v][y];
+      coeffs[v * keep + u] = sum;
+    }
+  }
+  return coeffs;
+}
+
+/*
+Histogram-equalizes luminance values: each pixel is replaced by its rank
+(equal values share their average rank), scaled to 0..255. Recoloured,
+desaturated or contrast-shifted copies of an image equalize to nearly the same
+values, which is what the "grayscale" variant relies on.
+*/
+function equalize(pixels) {
+  const order = Array.from(pixels.keys()).sort((a, b) => pixels[a] - pixels[b]);
+  const scale = 255 / Math.max(pixels.length - 1, 1);
+  const equalized = new Float64Array(pixels.length);
+  for (let start = 0; start < order.length;) {
+    let end = start;
+    while (end + 1 < order.length && pixels[order[end + 1]] === pixels[order[start]]) end++;
+    for (let i = start; i <= end; i++) equalized[order[i]] = ((start + end) / 2) * scale;
+    start = end + 1;
+  }
+  return equalized;
+}
+
+// Median of a list of numbers
+function median(values) {
+  const sorted = Array.from(values).sort((a, b) => a - b);
+  const mid = sorted.length >> 1;
+  return sorted.length % 2 ? sorted[mid] : (sorted[mid - 1] + sorted[mid]) / 2;
+}
+
+// Packs 64 booleans into a BigInt, first bit most significant (maps onto a Candid nat64)
+function packBits(bits) {
+  let hash = 0n;
+  for (const bit of bits) hash = (hash << 1n) | (bit ? 1n : 0n);
+  return hash;
+}
+
+/*
+Average hash: an 8x8 thumbnail, each bit set when its pixel is brighter than
+the thumbnail's mean. `sample(width, height)` returns the luminance of one
+variant of the image at that size.
+*/
+function averageHash(sample) {
+  const pixels = sample(HASH_SIZE, HASH_SIZE);
+  const mean = pixels.reduce((sum, value) => sum + value, 0) / pixels.length;
+  return packBits(Array.from(pixels, value => value > mean));
+}
+
+/*
+Difference hash: a 9x8 thumbnail, each bit set when a pixel is brighter than
+its right-hand neighbour (8 gradients per row). Robust to brightness and
+contrast changes, since only the direction of each gradient counts.
+*/
+function differenceHash(sample) {
+  const width = HASH_SIZE + 1;
+  const pixels = sample(width, HASH_SIZE);
+  const bits = [];
+  for (let y = 0; y < HASH_SIZE; y++) {
+    for (let x = 0; x < HASH_SIZE; x++) bits.push(pixels[y * width + x] > pixels[y * width + x + 1]);
+  }
+  return packBits(bits);
+}
+
+/*
+DCT perceptual hash (pHash):
+1. Downscales to a 32x32 grayscale thumbnail.
+2. Runs a 2D DCT and keeps the 8x8 lowest frequencies.
+3. Sets each bit when its coefficient is above the median (DC term excluded
+   from the median so overall brightness does not dominate).
+Bits are packed row-major, most significant first.
+*/
+function dctHash(sample) {
+  const coeffs = lowFrequencyDct(sample(DCT_SIZE, DCT_SIZE), DCT_SIZE, HASH_SIZE);
+  const threshold = median(coeffs.subarray(1));
+  return packBits(Array.from(coeffs, value => value > threshold));
+}
+
+/*
+Wavelet hash: a 32x32 thumbnail reduced by two levels of the 2D Haar transform
+to its 8x8 approximation band, each bit set when above the band's median.
+The approximation averages whole 4x4 blocks, so it tolerates noise and small
+shifts better than sampling single pixels.
+*/
+function waveletHash(sample) {
+  let size = DCT_SIZE;
+  let band = sample(size, size);
+  while (size > HASH_SIZE) {
+    const half = size / 2;
+    const next = new Float64Array(half * half);
+    for (let y = 0; y < half; y++) {
+      for (let x = 0; x < half; x++) {
+        const i = 2 * y * size + 2 * x;
+        next[y * half + x] = (band[i] + band[i + 1] + band[i + size] + band[i + size + 1]) / 2;
+      }
+    }
+    band = next;
+    size = half;
+  }
+  const threshold = median(band);
+  return packBits(Array.from(band, value => value > threshold));
+}
+
+/*
+The 64-bit DCT pHash (original variant) of anything canvas can draw: an image,
+or a <video> element showing the frame to hash (see videoFingerprints.js).
+*/
+export function perceptualHash(source) {
+  return dctHash((width, height) => grayscalePixels(source, width, height, false));
+}
+
+/*
+Computes the fingerprint of a decoded image: every algorithm on every variant.
+Shape (matches the canister's ImageFingerprint, all values BigInt):
+  { ahash, dhash, phash, whash }, each { original, mirrored, grayscale }
+*/
+export function fingerprintFromImage(img) {
+  const variants = {
+    original: (width, height) => grayscalePixels(img, width, height, false),
+    mirrored: (width, height) => grayscalePixels(img, width, height, true),
+    grayscale: (width, height) => equalize(grayscalePixels(img, width, height, false))
+  };
+  const hashAll = algorithm => ({
+    original: algorithm(variants.original),
+    mirrored: algorithm(variants.mirrored),
+    grayscale: algorithm(variants.grayscale)
+  });
+  return {
+    ahash: hashAll(averageHash),
+    dhash: hashAll(differenceHash),
+    phash: hashAll(dctHash),
+    whash: hashAll(waveletHash)
+  };
+}
+
+/*
+Returns the perceptual fingerprint of an image file, or null when the file is
+not an image or cannot be decoded.
+*/
+export async function computeFingerprint(file) {
+  if (!isImageFile(file)) return null;
+  try {
+    return fingerprintFromImage(await loadImage(file));
+  } catch (error) {
+    console.warn('Perceptual hashes skipped:', error);
+    return null;
+  }
+}
+
+/*
+Computes every similarity signature that applies to a file, shaped as the
+canister's Fingerprints record (Candid opts: [] when absent, [value] when present):
+  { image: [] | [ImageFingerprint], text: [] | [TextFingerprint], video: [] | [VideoFingerprint],
+    audio: [] | [AudioFingerprint], svgHash: [] | [string], pixelHash: [] | [string] }
+Throws an AbortError once `signal` is aborted (video sampling stops at the next frame).
+*/
+export async function computeFingerprints(file, { signal } = {}) {
+  const [image, text, video, audio, svgHash, pixelHash] = await Promise.all([
+    computeFingerprint(file),
+    computeTextFingerprint(file),
+    computeVideoFingerprint(file, { signal }),
+    computeAudioFingerprint(file),
+    computeSvgHash(file),
+    computePixelHash(file)
+  ]);
+  signal?.throwIfAborted();
+  return {
+    image: image === null ? [] : [image],
+    text: text === null ? [] : [text],
+    video: video === null ? [] : [video],
+    audio: audio === null ? [] : [audio],
+    svgHash: svgHash === null ? [] : [svgHash],
+    pixelHash: pixelHash === null ? [] : [pixelHash]
+  };
+}
@@ -0,0 +1,59 @@
+/************************************************************
+ * VaultStamp Frontend: Stamped Content Retrieval
+ *
+ * The canister keeps the content of every uploaded (not fingerprint-only)
+ * stamp in the chunks it was uploaded in. Only the stamp's owner may read it,
+ * through getFileChunk(hash, index).
+ *
+ * Downloads are re-hashed in the browser and compared with the stamp's
+ * SHA-256, so what the user opens is provably the content that was stamped.
+ ************************************************************/
+import { sha256Hex } from './fingerprints';
+
+/*
+Fetches all chunks of a stamp and returns them as a Blob of the stamp's file type.
+`stamp` is one entry of getFiles(): { hash, fileType, chunkCount, ... }.
+Throws if a chunk cannot be read or if the reassembled content does not hash to
+the stamp's SHA-256.
+
+Options:
+- onProgress: (chunksRead:number, chunkCount:number) => void
+*/
+export async function fetchStampContent(actor, stamp, { onProgress } = {}) {
+  const chunkCount = Number(stamp.chunkCount);
+  const chunks = [];
+  for (let index = 0; index < chunkCount; index++) {
+    const result = await actor.getFileChunk(stamp.hash, BigInt(index));
+    if ('err' in result) throw new Error(result.err);
+    chunks.push(new Uint8Array(result.ok));
+    if (onProgress) onProgress(index + 1, chunkCount);
+  }
+
+  const blob = new Blob(chunks, { type: stamp.fileType || 'application/octet-stream' });
+  if (await sha256Hex(blob) !== stamp.hash) {
+    throw new Error('The downloaded content does not match the stamped hash.');
+  }
+  return blob;
+}
+
+/*
+How the content can be shown inline: "image", "pdf", "text", or null when the
+type has no in-app preview (the file can still be downloaded).
+*/
+export function previewKind(fileType) {
+  if (fileType.startsWith('image/')) return 'image';
+  if (fileType === 'application/pdf') return 'pdf';
+  if (fileType.startsWith('text/') || fileType === 'application/json') return 'text';
+  return null;
+}
+
+// Hands a Blob to the browser as a file download
+export function saveBlob(blob, fileName) {
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = fileName;
+  link.click();
+  // Give the browser a moment to start the download before releasing the URL
+  setTimeout(() => URL.revokeObjectURL(url), 1000);
+}
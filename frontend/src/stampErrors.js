@@ -0,0 +1,69 @@
+/************************************************************
+ * VaultStamp Frontend: Stamp Error Messages
+ *
+ * The upload, stamp and verify endpoints fail with a Candid StampError variant,
+ * e.g. { duplicateByOther: { stampHash, timestamp } } or { anonymousCaller: null }.
+ * The tag is a stable error code; this module turns it into a message in the
+ * user's language (English is the fallback).
+ ************************************************************/
+
+const formatTime = (nanos, language) => new Date(Number(nanos) / 1_000_000).toLocaleString(language);
+// Also used for the quota usage in the Uploads view
+export const formatMB = bytes => `${(Number(bytes) / 1_000_000).toFixed(1)} MB`;
+
+// Error code → (payload, language) => message, per language
+const MESSAGES = {
+  en: {
+    duplicateByOther: (p, lang) => `This file was already stamped by another user on ${formatTime(p.timestamp, lang)}. Your attempt has been recorded.`,
+    duplicateBySelf: (p, lang) => `You already stamped this file on ${formatTime(p.timestamp, lang)}.`,
+    tooLarge: p => `The upload is too large (at most ${formatMB(p.maxBytes)} per part).`,
+    quotaExceeded: p => ('stampsPerDay' in p.quota
+      ? `You have reached your limit of ${p.limit} stamps per day. Please try again tomorrow.`
+      : `This upload would exceed your storage quota of ${formatMB(p.limit)}. Fingerprint-only stamps do not use storage.`),
+    anonymousCaller: () => 'Please log in to stamp files.',
+    invalidName: () => 'The file name contains control characters.',
+    invalidType: () => 'The file type is not valid.',
+    invalidHash: () => 'That is not a valid SHA-256 hash.',
+    invalidFingerprint: () => 'The file\'s similarity fingerprint is malformed. Please reload the page and try again.',
+    notFound: () => 'No matching stamp or upload was found.',
+    notOwner: () => 'You can only revise your own stamps.',
+    uploadIncomplete: p => `The upload is incomplete (${formatMB(p.received)} of ${formatMB(p.totalSize)} received).`,
+    chunkOutOfOrder: p => `Part ${Number(p.expected) + 1} of the upload is missing. Please retry.`,
+    unknown: () => 'The request failed.'
+  },
+  de: {
+    duplicateByOther: (p, lang) => `Diese Datei wurde bereits am ${formatTime(p.timestamp, lang)} von einem anderen Nutzer gestempelt. Ihr Versuch wurde protokolliert.`,
+    duplicateBySelf: (p, lang) => `Sie haben diese Datei bereits am ${formatTime(p.timestamp, lang)} gestempelt.`,
+    tooLarge: p => `Der Upload ist zu groß (höchstens ${formatMB(p.maxBytes)} pro Teil).`,
+    quotaExceeded: p => ('stampsPerDay' in p.quota
+      ? `Sie haben Ihr Limit von ${p.limit} Stempeln pro Tag erreicht. Bitte versuchen Sie es morgen erneut.`
+      : `Dieser Upload würde Ihr Speicherkontingent von ${formatMB(p.limit)} überschreiten. Stempel nur mit Fingerabdruck belegen keinen Speicher.`),
+    anonymousCaller: () => 'Bitte melden Sie sich an, um Dateien zu stempeln.',
+    invalidName: () => 'Der Dateiname enthält Steuerzeichen.',
+    invalidType: () => 'Der Dateityp ist ungültig.',
+    invalidHash: () => 'Das ist kein gültiger SHA-256-Hash.',
+    invalidFingerprint: () => 'Der Ähnlichkeits-Fingerabdruck der Datei ist fehlerhaft. Bitte laden Sie die Seite neu und versuchen Sie es erneut.',
+    notFound: () => 'Kein passender Stempel oder Upload gefunden.',
+    notOwner: () => 'Sie können nur Ihre eigenen Stempel überarbeiten.',
+    uploadIncomplete: p => `Der Upload ist unvollständig (${formatMB(p.received)} von ${formatMB(p.totalSize)} empfangen).`,
+    chunkOutOfOrder: p => `Teil ${Number(p.expected) + 1} des Uploads fehlt. Bitte erneut versuchen.`,
+    unknown: () => 'Die Anfrage ist fehlgeschlagen.'
+  }
+};
+
+// The stable error code (variant tag) of a StampError
+export function stampErrorCode(error) {
+  return Object.keys(error)[0];
+}
+
+/*
+Returns the message for a StampError in `language` (a BCP 47 tag such as "de-AT";
+defaults to the browser's language). Unknown codes get a generic message, so a
+newer canister never breaks an older frontend.
+*/
+export function describeStampError(error, language = navigator.language) {
+  const messages = MESSAGES[language.split('-')[0]] || MESSAGES.en;
+  const code = stampErrorCode(error);
+  const format = messages[code] || messages.unknown;
+  return format(error[code], language);
+}
@@ -0,0 +1,72 @@
+/************************************************************
+ * VaultStamp Frontend: My Stamps Listing Requests
+ *
+ * getFiles returns the user's stamps one page at a time, sorted and filtered
+ * on the canister. This module turns the My Stamps controls into the Candid
+ * FileQuery record it expects.
+ ************************************************************/
+
+// Stamps fetched per page (the canister caps pages at 100)
+export const FILES_PAGE_SIZE = 30;
+
+// Sort keys accepted by getFiles, with their labels in the UI
+export const SORT_OPTIONS = [
+  { value: 'timestamp', label: 'Date' },
+  { value: 'name', label: 'Name' },
+  { value: 'size', label: 'Size' }
+];
+
+// File type filters: MIME type prefixes matched by the canister ("" = all types)
+export const TYPE_FILTERS = [
+  { value: '', label: 'All types' },
+  { value: 'image/', label: 'Images' },
+  { value: 'application/pdf', label: 'PDF' },
+  { value: 'text/', label: 'Text' },
+  { value: 'video/', label: 'Video' },
+  { value: 'audio/', label: 'Audio' }
+];
+
+// Candid opt → [] when absent, [value] when present
+const opt = value => (value === null || value === undefined || value === '' ? [] : [value]);
+
+// "YYYY-MM-DD" from a date input → nanoseconds at the start (or end) of that local day
+function dayToNanos(day, endOfDay) {
+  if (!day) return null;
+  const date = new Date(`${day}T00:00:00`);
+  if (endOfDay) date.setDate(date.getDate() + 1);
+  return BigInt(date.getTime()) * 1_000_000n - (endOfDay ? 1n : 0n);
+}
+
+/*
+Builds the FileQuery record for getFiles.
+Options:
+- sortBy: 'timestamp' | 'name' | 'size'; descending: boolean
+- search: string (name substring), fileType: string (MIME prefix)
+- fromDate / toDate: 'YYYY-MM-DD' strings from date inputs (inclusive days)
+- latestRevisionsOnly: boolean (hide stamps superseded by a later revision)
+- cursor: the previous page's nextCursor ([] | [cursor]), or [] for the first page
+- limit: page size
+*/
+export function buildFileQuery({
+  sortBy = 'timestamp',
+  descending = true,
+  search = '',
+  fileType = '',
+  fromDate = '',
+  toDate = '',
+  latestRevisionsOnly = true,
+  cursor = [],
+  limit = FILES_PAGE_SIZE
+} = {}) {
+  return {
+    sortBy: { [sortBy]: null }, // Candid variant
+    descending,
+    fileType: opt(fileType),
+    fromTime: opt(dayToNanos(fromDate, false)),
+    toTime: opt(dayToNanos(toDate, true)),
+    nameContains: opt(search.trim()),
+    latestRevisionsOnly,
+    cursor,
+    limit: BigInt(limit)
+  };
+}
@@ -0,0 +1,291 @@
+/************************************************************
+ * VaultStamp Frontend: Canonical SVG
+ *
+ * Re-exporting an SVG logo from a design tool rewrites the file: attribute
+ * order, whitespace, number formatting, relative vs. absolute path commands,
+ * generated IDs and editor metadata all change while the drawing stays the
+ * same. Hashing the raw bytes would make every re-export look like new work.
+ *
+ * canonicalizeSvg parses the markup and writes it back in one fixed form:
+ * - comments, processing instructions, <metadata> and everything in editor
+ *   namespaces (Inkscape, Sodipodi, Illustrator, Sketch, …) are dropped;
+ * - attributes are sorted, numbers rounded to NUMBER_DECIMALS decimals, number
+ *   lists single-spaced and style declarations sorted;
+ * - path data is rewritten with absolute commands (H and V as L);
+ * - IDs are renumbered in document order, and IDs nothing refers to dropped.
+ * The SHA-256 of that form is stamped next to the raw SHA-256.
+ *
+ * rasterizableSvg gives the same cleaned markup an explicit pixel size, so
+ * every browser draws it onto a canvas for the perceptual hashes.
+ ************************************************************/
+
+const SVG_NAMESPACE = 'http://www.w3.org/2000/svg';
+const XLINK_NAMESPACE = 'http://www.w3.org/1999/xlink';
+
+// Decimals kept when normalizing numbers (editors export between 2 and 8)
+const NUMBER_DECIMALS = 3;
+
+// Longest side of the rasterized image, in pixels
+const RASTER_SIZE = 512;
+
+// Attributes editors add or vary that do not change the drawing
+const IGNORED_ATTRIBUTES = new Set(['version', 'baseProfile', 'data-name', 'xml:space', 'enable-background']);
+
+// Returns true for SVG files (by MIME type, or by extension when the picker reports no type)
+export function isSvgFile(file) {
+  return file?.type === 'image/svg+xml' || (!file?.type && /\.svg$/i.test(file?.name || ''));
+}
+
+// A number rounded to NUMBER_DECIMALS decimals, in its shortest form
+function formatNumber(value) {
+  const factor = 10 ** NUMBER_DECIMALS;
+  const rounded = Math.round(Number(value) * factor) / factor;
+  return String(Object.is(rounded, -0) ? 0 : rounded);
+}
+
+// Numbers inside an attribute value (not digits of hex colours or names)
+const NUMBER_PATTERN = /(?<![#\w.])-?(?:\d+\.?\d*|\.\d+)(?:e[-+]?\d+)?/gi;
+const NUMBER_LIST_PATTERN = /^[\d\s,.eE+-]+$/;
+
+/*
+Rewrites SVG path data with absolute coordinates, one command letter per
+segment and single spaces, e.g. "m10,10h5" → "M10 10 L15 10".
+Returns null when the data cannot be parsed (it is then kept as written).
+*/
+function normalizePath(data) {
+  const separator = /[\s,]*/y;
+  const number = /-?(?:\d+\.?\d*|\.\d+)(?:e[-+]?\d+)?/iy;
+  let position = 0;
+  const skip = () => {
+    separator.lastIndex = position;
+    separator.exec(data);
+    position = separator.lastIndex;
+  };
+  const readNumber = () => {
+    skip();
+    number.lastIndex = position;
+    const match = number.exec(data);
+    if (!match) throw new Error('Path number expected');
+    position = number.lastIndex;
+    return Number(match[0]);
+  };
+  const readFlag = () => {
+    skip();
+    const flag = data[position++];
+    if (flag !== '0' && flag !== '1') throw new Error('Arc flag expected');
+    return Number(flag);
+  };
+
+  const segments = [];
+  let x = 0;
+  let y = 0;
+  let startX = 0;
+  let startY = 0;
+  let command = null;
+  try {
+    for (skip(); position < data.length; skip()) {
+      if (/[a-z]/i.test(data[position])) {
+        command = data[position++];
+      } else if (!command || /z/i.test(command)) {
+        throw new Error('Path command expected');
+      }
+      const relative = command === command.toLowerCase();
+      const dx = relative ? x : 0;
+      const dy = relative ? y : 0;
+      const point = () => [readNumber() + dx, readNumber() + dy];
+      switch (command.toUpperCase()) {
+        case 'M':
+          [x, y] = point();
+          [startX, startY] = [x, y];
+          segments.push(['M', x, y]);
+          command = relative ? 'l' : 'L'; // Further pairs are implicit line-tos
+          break;
+        case 'L':
+          [x, y] = point();
+          segments.push(['L', x, y]);
+          break;
+        case 'H':
+          x = readNumber() + dx;
+          segments.push(['L', x, y]);
+          break;
+        case 'V':
+          y = readNumber() + dy;
+          segments.push(['L', x, y]);
+          break;
+        case 'C': {
+          const points = [...point(), ...point(), ...point()];
+          [x, y] = points.slice(4);
+          segments.push(['C', ...points]);
+          break;
+        }
+        case 'S':
+        case 'Q': {
+          const points = [...point(), ...point()];
+          [x, y] = points.slice(2);
+          segments.push([command.toUpperCase(), ...points]);
+          break;
+        }
+        case 'T':
+          [x, y] = point();
+          segments.push(['T', x, y]);
+          break;
+        case 'A': {
+          const arc = [readNumber(), readNumber(), readNumber(), readFlag(), readFlag()];
+          [x, y] = point();
+          segments.push(['A', ...arc, x, y]);
+          break;
+        }
+        case 'Z':
+          [x, y] = [startX, startY];
+          segments.push(['Z']);
+          break;
+        default:
+          throw new Error(`Unknown path command ${command}`);
+      }
+    }
+  } catch {
+    return null;
+  }
+  return segments.map(([letter, ...values]) => letter + values.map(formatNumber).join(' ')).join(' ');
+}
+
+// Numbers rounded and hex colours lowercased in free-form values
+function normalizeTokens(text) {
+  return text.replace(NUMBER_PATTERN, formatNumber).replace(/#[0-9a-f]{3,8}\b/gi, colour => colour.toLowerCase());
+}
+
+// Canonical form of one attribute value
+function normalizeValue(name, value) {
+  const collapsed = value.trim().replace(/\s+/g, ' ');
+  if (name === 'd') return normalizePath(collapsed) ?? collapsed;
+  if (/^(transform|gradientTransform|patternTransform)$/.test(name)) {
+    // "translate(10, 20)" and "translate(10 20)" are the same transform
+    return normalizeTokens(collapsed.replace(/\s*([(),])\s*/g, '$1').replace(/,/g, ' ').replace(/\)(?=\S)/g, ') '));
+  }
+  if (name === 'style') {
+    return collapsed.split(';')
+      .map(declaration => declaration.split(':').map(part => part.trim()).join(':'))
+      .filter(declaration => declaration && declaration !== ':')
+      .map(normalizeTokens)
+      .sort()
+      .join(';');
+  }
+  if (NUMBER_LIST_PATTERN.test(collapsed)) {
+    return (collapsed.match(NUMBER_PATTERN) || []).map(formatNumber).join(' ');
+  }
+  return normalizeTokens(collapsed);
+}
+
+// "#id" targets of url(#id) and href="#id" references in a value or stylesheet
+function referencedIds(text) {
+  return Array.from(text.matchAll(/url\(\s*['"]?#([^'")\s]+)|^#(\S+)$|#([A-Za-z_][\w.-]*)/g), match => match[1] || match[2] || match[3]);
+}
+
+// Parses SVG markup and cleans the document in place (see the module comment); returns the root element
+function cleanSvg(markup) {
+  const doc = new DOMParser().parseFromString(markup, 'image/svg+xml');
+  const root = doc.documentElement;
+  if (doc.getElementsByTagName('parsererror').length > 0 || root.namespaceURI !== SVG_NAMESPACE || root.localName !== 'svg') {
+    throw new Error('The file is not a well-formed SVG.');
+  }
+
+  // Drop comments, processing instructions, metadata and foreign (editor) elements
+  const walk = node => {
+    for (const child of Array.from(node.childNodes)) {
+      const foreign = child.nodeType === Node.ELEMENT_NODE && (child.namespaceURI !== SVG_NAMESPACE || child.localName === 'metadata');
+      if (child.nodeType === Node.COMMENT_NODE || child.nodeType === Node.PROCESSING_INSTRUCTION_NODE || foreign) {
+        node.removeChild(child);
+      } else if (child.nodeType === Node.TEXT_NODE || child.nodeType === Node.CDATA_SECTION_NODE) {
+        const text = child.data.replace(/\s+/g, ' ').trim();
+        if (text) node.replaceChild(doc.createTextNode(text), child);
+        else node.removeChild(child);
+      } else if (child.nodeType === Node.ELEMENT_NODE) {
+        walk(child);
+      }
+    }
+  };
+  walk(root);
+
+  const elements = [root, ...root.getElementsByTagName('*')];
+  // Keep only SVG and xlink attributes; xlink:href becomes the equivalent SVG 2 href
+  for (const element of elements) {
+    for (const attribute of Array.from(element.attributes)) {
+      const namespace = attribute.namespaceURI;
+      const keep = (namespace === null || namespace === XLINK_NAMESPACE) && !IGNORED_ATTRIBUTES.has(attribute.name);
+      element.removeAttributeNode(attribute);
+      if (!keep) continue;
+      const name = namespace === XLINK_NAMESPACE ? attribute.localName : attribute.name;
+      if (!element.hasAttribute(name)) element.setAttribute(name, attribute.value);
+    }
+  }
+
+  // Renumber referenced IDs in document order, drop the rest, and rewrite the references
+  const referenced = new Set();
+  for (const element of elements) {
+    for (const attribute of element.attributes) {
+      if (attribute.name !== 'id') referencedIds(attribute.value).forEach(id => referenced.add(id));
+    }
+    if (element.localName === 'style') referencedIds(element.textContent).forEach(id => referenced.add(id));
+  }
+  const renamed = new Map();
+  for (const element of elements) {
+    const id = element.getAttribute('id');
+    if (id === null) continue;
+    if (referenced.has(id) && !renamed.has(id)) {
+      renamed.set(id, `i${renamed.size}`);
+      element.setAttribute('id', renamed.get(id));
+    } else {
+      element.removeAttribute('id');
+    }
+  }
+  const rename = text => text.replace(/#([A-Za-z_][\w.-]*)/g, (reference, id) => (renamed.has(id) ? `#${renamed.get(id)}` : reference));
+  for (const element of elements) {
+    for (const attribute of Array.from(element.attributes)) {
+      if (attribute.name !== 'id') element.setAttribute(attribute.name, normalizeValue(attribute.name, rename(attribute.value)));
+    }
+    if (element.localName === 'style') element.textContent = rename(element.textContent);
+  }
+  return root;
+}
+
+const escapeText = text => text.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+const escapeAttribute = value => escapeText(value).replace(/"/g, '&quot;');
+
+// Writes an element and its children with sorted attributes and no insignificant whitespace
+function serialize(element) {
+  const attributes = Array.from(element.attributes, attribute => [attribute.name, attribute.value])
+    .sort(([a], [b]) => (a < b ? -1 : a > b ? 1 : 0))
+    .map(([name, value]) => ` ${name}="${escapeAttribute(value)}"`)
+    .join('');
+  const namespace = element.parentNode?.nodeType === Node.DOCUMENT_NODE ? ` xmlns="${SVG_NAMESPACE}"` : '';
+  const children = Array.from(element.childNodes, child => (child.nodeType === Node.TEXT_NODE ? escapeText(child.data) : serialize(child))).join('');
+  return `<${element.localName}${namespace}${attributes}>${children}</${element.localName}>`;
+}
+
+/*
+Returns the canonical form of SVG markup (see the module comment).
+Throws when the markup is not a well-formed SVG document.
+*/
+export function canonicalizeSvg(markup) {
+  return serialize(cleanSvg(markup));
+}
+
+/*
+Returns the cleaned SVG markup sized to RASTER_SIZE pixels on its longest side
+(keeping the viewBox aspect ratio), ready to be decoded as an image. SVGs without
+a viewBox get one from their width and height, so they scale instead of clipping.
+*/
+export function rasterizableSvg(markup) {
+  const root = cleanSvg(markup);
+  let viewBox = (root.getAttribute('viewBox') || '').split(' ').map(Number);
+  if (viewBox.length !== 4 || !(viewBox[2] > 0 && viewBox[3] > 0)) {
+    const width = parseFloat(root.getAttribute('width')) || RASTER_SIZE;
+    const height = parseFloat(root.getAttribute('height')) || RASTER_SIZE;
+    viewBox = [0, 0, width, height];
+    root.setAttribute('viewBox', viewBox.join(' '));
+  }
+  const scale = RASTER_SIZE / Math.max(viewBox[2], viewBox[3]);
+  root.setAttribute('width', String(Math.round(viewBox[2] * scale)));
+  root.setAttribute('height', String(Math.round(viewBox[3] * scale)));
+  return serialize(root);
+}
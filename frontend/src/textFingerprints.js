@@ -0,0 +1,237 @@
+/************************************************************
+ * VaultStamp Frontend: Document Text Fingerprints
+ *
+ * Near-duplicate signatures for text deliverables. The text of a document is
+ * extracted in the browser (plain text, PDF, DOCX), normalized to lowercase
+ * words and cut into overlapping word 3-shingles. Two signatures are computed
+ * over the shingle set:
+ * - MinHash: for each of 64 hash functions, the smallest hash of any shingle.
+ *   The share of equal positions estimates the Jaccard similarity of two sets.
+ * - SimHash: a 64-bit hash where every shingle votes on every bit; documents
+ *   sharing most shingles end up a few bits apart.
+ * Reformatting does not change the words, so it does not change the
+ * signatures; rewording changes them in proportion to the text that changed.
+ *
+ * Everything here runs locally; only the signatures reach the canister.
+ ************************************************************/
+
+// Words per shingle
+const SHINGLE_SIZE = 3;
+
+// Values in the MinHash signature (the canister's MINHASH_SIZE)
+const MINHASH_SIZE = 64;
+
+// Documents with fewer words give signatures too noisy to compare
+const MIN_WORDS = 20;
+
+const DOCX_TYPE = 'application/vnd.openxmlformats-officedocument.wordprocessingml.document';
+const WORD_NAMESPACE = 'http://schemas.openxmlformats.org/wordprocessingml/2006/main';
+
+/*
+Returns true for the document types whose text can be extracted here:
+text/*, JSON, PDF and DOCX (by MIME type, or by extension when the picker
+reports no type).
+*/
+export function isTextDocument(file) {
+  const type = file?.type || '';
+  if (type.startsWith('text/') || type === 'application/json' || type === 'application/pdf' || type === DOCX_TYPE) return true;
+  return !type && /\.(txt|md|csv|json|pdf|docx)$/i.test(file?.name || '');
+}
+
+// Inflates raw DEFLATE ("deflate-raw", zip entries) or zlib ("deflate", PDF streams) data
+async function inflate(bytes, format) {
+  const stream = new Blob([bytes]).stream().pipeThrough(new DecompressionStream(format));
+  return new Uint8Array(await new Response(stream).arrayBuffer());
+}
+
+/*
+Reads one entry of a zip archive (DOCX files are zips) through its central
+directory. Returns the entry's bytes, or null when the archive has no such entry.
+*/
+async function readZipEntry(buffer, entryName) {
+  const view = new DataView(buffer);
+  // The end-of-central-directory record sits in the last 22 bytes + up to 64 KB of comment
+  let end = buffer.byteLength - 22;
+  while (end >= 0 && view.getUint32(end, true) !== 0x06054b50) end--;
+  if (end < 0) throw new Error('The document is not a valid DOCX (zip) file.');
+
+  const entries = view.getUint16(end + 10, true);
+  let offset = view.getUint32(end + 16, true);
+  const decoder = new TextDecoder();
+  for (let i = 0; i < entries; i++) {
+    const method = view.getUint16(offset + 10, true);
+    const compressedSize = view.getUint32(offset + 20, true);
+    const nameLength = view.getUint16(offset + 28, true);
+    const extraLength = view.getUint16(offset + 30, true);
+    const commentLength = view.getUint16(offset + 32, true);
+    const localOffset = view.getUint32(offset + 42, true);
+    const name = decoder.decode(new Uint8Array(buffer, offset + 46, nameLength));
+    if (name === entryName) {
+      // The local header repeats the name and has its own extra field
+      const dataStart = localOffset + 30 + view.getUint16(localOffset + 26, true) + view.getUint16(localOffset + 28, true);
+      const data = new Uint8Array(buffer, dataStart, compressedSize);
+      return method === 0 ? data : inflate(data, 'deflate-raw');
+    }
+    offset += 46 + nameLength + extraLength + commentLength;
+  }
+  return null;
+}
+
+// Text of a DOCX file: the runs of word/document.xml, one line per paragraph
+async function docxText(file) {
+  const xml = await readZipEntry(await file.arrayBuffer(), 'word/document.xml');
+  if (!xml) throw new Error('The DOCX file has no document body.');
+  const doc = new DOMParser().parseFromString(new TextDecoder().decode(xml), 'application/xml');
+  return Array.from(doc.getElementsByTagNameNS(WORD_NAMESPACE, 'p'))
+    .map(paragraph => Array.from(paragraph.getElementsByTagNameNS(WORD_NAMESPACE, 't'), run => run.textContent).join(''))
+    .join('\n');
+}
+
+// Decodes the escapes of a PDF literal string ("(...)")
+function pdfLiteral(literal) {
+  return literal.replace(/\\([nrtbf()\\]|[0-7]{1,3})/g, (_, escape) => {
+    const simple = { n: '\n', r: '\r', t: '\t', b: '', f: '', '(': '(', ')': ')', '\\': '\\' };
+    return escape in simple ? simple[escape] : String.fromCharCode(parseInt(escape, 8));
+  });
+}
+
+// Text shown by the Tj / TJ / ' / " operators of a PDF content stream
+function pdfContentText(content) {
+  const parts = [];
+  const operators = /\[((?:\\.|[^\]\\])*)\]\s*TJ|\(((?:\\.|[^)\\])*)\)\s*(?:Tj|'|")|(T\*|Td|TD|ET)\b/g;
+  for (const [, array, string, breakOperator] of content.matchAll(operators)) {
+    if (string !== undefined) {
+      parts.push(pdfLiteral(string));
+    } else if (array !== undefined) {
+      // Large negative kerning between strings stands for a space
+      for (const [, literal, kerning] of array.matchAll(/\(((?:\\.|[^)\\])*)\)|(-?\d+(?:\.\d+)?)/g)) {
+        if (literal !== undefined) parts.push(pdfLiteral(literal));
+        else if (Number(kerning) < -200) parts.push(' ');
+      }
+    } else if (breakOperator) {
+      parts.push(' ');
+    }
+  }
+  return parts.join('');
+}
+
+/*
+Text of a PDF, read from its content streams. Covers PDFs written with standard
+font encodings (most exports from word processors and design tools); text in
+embedded CID fonts or scanned pages is not recoverable this way, and such PDFs
+are then stamped without a text fingerprint.
+*/
+async function pdfText(file) {
+  const bytes = new Uint8Array(await file.arrayBuffer());
+  const raw = new TextDecoder('latin1').decode(bytes);
+  const texts = [];
+  // A stream's dictionary: from its object's first "<<" up to ">> stream" (never across objects)
+  for (const match of raw.matchAll(/<<((?:(?!>>\s*stream|\bobj\b)[\s\S])*)>>\s*stream\r?\n/g)) {
+    const dictionary = match[1];
+    // Images, fonts and other binary streams hold no page text
+    if (/\/(Subtype\s*\/Image|Length1|Type\s*\/XObject|Type\s*\/XRef)/.test(dictionary)) continue;
+    const start = match.index + match[0].length;
+    const end = raw.indexOf('endstream', start);
+    if (end < 0) continue;
+    let content = bytes.subarray(start, end);
+    if (/\/FlateDecode/.test(dictionary)) {
+      try {
+        content = await inflate(content, 'deflate');
+      } catch {
+        continue; // Damaged or unusually encoded stream
+      }
+    } else if (/\/Filter/.test(dictionary)) {
+      continue; // Other filters are not used for page text in practice
+    }
+    texts.push(pdfContentText(new TextDecoder('latin1').decode(content)));
+  }
+  return texts.join('\n');
+}
+
+/*
+Extracts the plain text of a document (see isTextDocument).
+Throws when the file cannot be parsed.
+*/
+export async function extractText(file) {
+  if (file.type === 'application/pdf' || /\.pdf$/i.test(file.name)) return pdfText(file);
+  if (file.type === DOCX_TYPE || /\.docx$/i.test(file.name)) return docxText(file);
+  return file.text();
+}
+
+// Lowercase words (letters and digits) of a text, after Unicode normalization
+function words(text) {
+  return text.normalize('NFKC').toLowerCase().match(/[\p{L}\p{N}]+/gu) || [];
+}
+
+// 32-bit FNV-1a hash of a string, from the given offset basis
+function fnv1a(text, basis = 0x811c9dc5) {
+  let hash = basis;
+  for (let i = 0; i < text.length; i++) {
+    hash ^= text.charCodeAt(i);
+    hash = Math.imul(hash, 0x01000193);
+  }
+  return hash >>> 0;
+}
+
+// MurmurHash3's 32-bit finalizer: spreads every input bit over the output
+function mix32(value) {
+  let h = value >>> 0;
+  h = Math.imul(h ^ (h >>> 16), 0x85ebca6b);
+  h = Math.imul(h ^ (h >>> 13), 0xc2b2ae35);
+  return (h ^ (h >>> 16)) >>> 0;
+}
+
+// One seed per MinHash function; fixed so every browser computes the same signature
+const MINHASH_SEEDS = Array.from({ length: MINHASH_SIZE }, (_, i) => mix32(Math.imul(i + 1, 0x9e3779b9)));
+
+/*
+Computes the text fingerprint of a string.
+Shape (matches the canister's TextFingerprint):
+  { minhash: number[64] (Nat32 values), simhash: bigint, shingleCount: bigint }
+Returns null when the text has fewer than MIN_WORDS words.
+*/
+export function textFingerprint(text) {
+  const tokens = words(text);
+  if (tokens.length < MIN_WORDS) return null;
+
+  const shingles = new Set();
+  for (let i = 0; i + SHINGLE_SIZE <= tokens.length; i++) {
+    shingles.add(tokens.slice(i, i + SHINGLE_SIZE).join(' '));
+  }
+
+  const minhash = new Array(MINHASH_SIZE).fill(0xffffffff);
+  const votes = new Array(64).fill(0);
+  for (const shingle of shingles) {
+    const hash = fnv1a(shingle);
+    for (let i = 0; i < MINHASH_SIZE; i++) {
+      const value = mix32(hash ^ MINHASH_SEEDS[i]);
+      if (value < minhash[i]) minhash[i] = value;
+    }
+    // 64 bits per shingle from two independently seeded hashes (high word, low word)
+    const high = mix32(fnv1a(shingle, 0x050c5d1f));
+    const low = mix32(hash);
+    for (let bit = 0; bit < 32; bit++) {
+      votes[bit] += (high >>> (31 - bit)) & 1 ? 1 : -1;
+      votes[bit + 32] += (low >>> (31 - bit)) & 1 ? 1 : -1;
+    }
+  }
+
+  let simhash = 0n;
+  for (const vote of votes) simhash = (simhash << 1n) | (vote > 0 ? 1n : 0n);
+  return { minhash, simhash, shingleCount: BigInt(shingles.size) };
+}
+
+/*
+Convenience wrapper used by the upload and check flows: the text fingerprint
+of a document file, or null when the file is not a text document, cannot be
+parsed, or holds too little text.
+*/
+export async function computeTextFingerprint(file) {
+  if (!isTextDocument(file)) return null;
+  try {
+    return textFingerprint(await extractText(file));
+  } catch (error) {
+    console.warn('Text fingerprint skipped:', error);
+    return null;
+  }
+}
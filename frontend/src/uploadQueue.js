@@ -0,0 +1,104 @@
+/************************************************************
+ * VaultStamp Frontend: Batch Upload Queue Helpers
+ *
+ * Pure helpers behind the multi-file upload queue in the Uploads view:
+ * collecting files from pickers and drag-and-drop (including whole folders),
+ * building queue items and summarising a finished batch. The queue itself
+ * (state, workers, retries) lives in the App shell.
+ ************************************************************/
+
+// Files stamped at the same time; keeps the canister and the browser responsive
+export const MAX_CONCURRENT_UPLOADS = 3;
+
+// Per-file states shown in the queue, in the order a file normally moves through them
+export const QUEUE_STATUS = {
+  queued: 'queued',
+  hashing: 'hashing',
+  uploading: 'uploading',
+  stamped: 'stamped',
+  duplicate: 'duplicate',
+  failed: 'failed'
+};
+
+let nextItemId = 0;
+
+/*
+Wraps picked/dropped files into queue items.
+Shape: { id, file, path, status, message, progress: null | { received, total }, originalHash: null | string }
+`path` keeps the folder-relative path for files that came from a dropped folder.
+`originalHash` is set when another user already owns the file's stamp.
+*/
+export function createQueueItems(files) {
+  return files.map(file => ({
+    id: nextItemId++,
+    file,
+    path: file.webkitRelativePath || file.relativePath || file.name,
+    status: QUEUE_STATUS.queued,
+    message: '',
+    progress: null,
+    originalHash: null
+  }));
+}
+
+// Reads every entry of a directory; readEntries() returns at most ~100 per call
+function readAllEntries(reader) {
+  return new Promise((resolve, reject) => {
+    const entries = [];
+    const readBatch = () => reader.readEntries(batch => {
+      if (batch.length === 0) {
+        resolve(entries);
+      } else {
+        entries.push(...batch);
+        readBatch();
+      }
+    }, reject);
+    readBatch();
+  });
+}
+
+// Recursively flattens a FileSystemEntry (file or directory) into File objects
+async function filesFromEntry(entry, prefix) {
+  if (entry.isFile) {
+    const file = await new Promise((resolve, reject) => entry.file(resolve, reject));
+    file.relativePath = prefix + file.name; // webkitRelativePath is read-only and empty for drops
+    return [file];
+  }
+  if (entry.isDirectory) {
+    const children = await readAllEntries(entry.createReader());
+    const nested = await Promise.all(children.map(child => filesFromEntry(child, `${prefix}${entry.name}/`)));
+    return nested.flat();
+  }
+  return [];
+}
+
+/*
+Collects the files of a drop event. Dropped folders are walked recursively
+through the (widely supported) webkitGetAsEntry API; browsers without it fall
+back to the flat dataTransfer.files list.
+*/
+export async function collectDroppedFiles(dataTransfer) {
+  const items = Array.from(dataTransfer.items || []);
+  if (items.length === 0 || typeof items[0].webkitGetAsEntry !== 'function') {
+    return Array.from(dataTransfer.files || []);
+  }
+  // Entries must be taken synchronously, before the event's data store is cleared
+  const entries = items.filter(item => item.kind === 'file').map(item => item.webkitGetAsEntry()).filter(Boolean);
+  const nested = await Promise.all(entries.map(entry => filesFromEntry(entry, '')));
+  return nested.flat();
+}
+
+/*
+Counts queue items per final outcome. `done` is true once nothing is waiting
+or in flight, which is when the batch summary is shown.
+*/
+export function summarizeQueue(queue) {
+  const count = status => queue.filter(item => item.status === status).length;
+  const active = count(QUEUE_STATUS.queued) + count(QUEUE_STATUS.hashing) + count(QUEUE_STATUS.uploading);
+  return {
+    total: queue.length,
+    stamped: count(QUEUE_STATUS.stamped),
+    duplicate: count(QUEUE_STATUS.duplicate),
+    failed: count(QUEUE_STATUS.failed),
+    done: queue.length > 0 && active === 0
+  };
+}
@@ -0,0 +1,107 @@
+/************************************************************
+ * VaultStamp Frontend: Video Fingerprints
+ *
+ * A video is fingerprinted by the sequence of its frames: an off-screen
+ * <video> element is seeked to one point per FRAME_INTERVAL_MS from the start,
+ * and each frame is drawn onto a canvas and reduced to its 64-bit pHash
+ * (see fingerprints.js). Re-encoding at another bitrate or resolution moves
+ * each frame hash by only a few bits, and a trimmed copy is a shifted stretch
+ * of the same sequence, which the canister's matching allows for.
+ *
+ * Everything here runs locally; only the frame hashes reach the canister.
+ ************************************************************/
+import { perceptualHash } from './fingerprints';
+
+// Time between sampled frames; the canister only aligns sequences sampled at the same interval
+export const FRAME_INTERVAL_MS = 1000;
+
+// Most frames sampled (the canister's MAX_VIDEO_FRAMES); longer videos are fingerprinted by their first 10 minutes
+const MAX_VIDEO_FRAMES = 600;
+
+// Longest wait for the element to load or seek; a video the browser stalls on gets no fingerprint
+const EVENT_TIMEOUT_MS = 15000;
+
+// Returns true when the browser reports the file as a video
+export function isVideoFile(file) {
+  return Boolean(file && file.type && file.type.startsWith('video/'));
+}
+
+// Resolves on the element's next `eventName` event, rejects if it reports an error first
+// or nothing happens within EVENT_TIMEOUT_MS
+function nextEvent(element, eventName) {
+  return new Promise((resolve, reject) => {
+    const timer = setTimeout(() => {
+      element.removeEventListener(eventName, onEvent);
+      element.removeEventListener('error', onError);
+      reject(new Error(`The browser sent no ${eventName} event within ${EVENT_TIMEOUT_MS / 1000} s.`));
+    }, EVENT_TIMEOUT_MS);
+    const onEvent = () => {
+      clearTimeout(timer);
+      element.removeEventListener('error', onError);
+      resolve();
+    };
+    const onError = () => {
+      clearTimeout(timer);
+      element.removeEventListener(eventName, onEvent);
+      reject(new Error('The browser could not decode this video.'));
+    };
+    element.addEventListener(eventName, onEvent, { once: true });
+    element.addEventListener('error', onError, { once: true });
+  });
+}
+
+/*
+Samples the frames of a video file and returns its fingerprint.
+Shape (matches the canister's VideoFingerprint):
+  { frames: bigint[] (pHash per sampled frame), intervalMs: bigint }
+Throws when the video cannot be decoded, stalls or has no known duration, and
+with an AbortError once `signal` is aborted (checked before every frame).
+
+Options:
+- onProgress: (framesSampled:number, frameCount:number) => void
+- signal: AbortSignal
+*/
+export async function videoFingerprint(file, { onProgress, signal } = {}) {
+  const url = URL.createObjectURL(file);
+  const video = document.createElement('video');
+  video.muted = true;
+  video.preload = 'auto';
+  try {
+    const loaded = nextEvent(video, 'loadeddata');
+    video.src = url;
+    await loaded;
+    if (!Number.isFinite(video.duration)) throw new Error('The video has no known duration.');
+
+    const frameCount = Math.min(MAX_VIDEO_FRAMES, Math.floor((video.duration * 1000) / FRAME_INTERVAL_MS) + 1);
+    const frames = [];
+    for (let i = 0; i < frameCount; i++) {
+      signal?.throwIfAborted();
+      const seeked = nextEvent(video, 'seeked');
+      video.currentTime = Math.min((i * FRAME_INTERVAL_MS) / 1000, video.duration);
+      await seeked;
+      frames.push(perceptualHash(video));
+      if (onProgress) onProgress(i + 1, frameCount);
+    }
+    return { frames, intervalMs: BigInt(FRAME_INTERVAL_MS) };
+  } finally {
+    video.removeAttribute('src');
+    video.load(); // Releases the decoder
+    URL.revokeObjectURL(url);
+  }
+}
+
+/*
+Convenience wrapper used by the upload flow: the fingerprint of a video file,
+or null when the file is not a video or cannot be decoded. An abort through
+`signal` is rethrown, so the caller can stop the stamp.
+*/
+export async function computeVideoFingerprint(file, { signal } = {}) {
+  if (!isVideoFile(file)) return null;
+  try {
+    return await videoFingerprint(file, { signal });
+  } catch (error) {
+    if (error.name === 'AbortError') throw error;
+    console.warn('Video fingerprint skipped:', error);
+    return null;
+  }
+}
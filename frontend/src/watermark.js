@@ -0,0 +1,194 @@
+/************************************************************
+ * VaultStamp Frontend: Invisible Watermarks
+ *
+ * Images exported from My Stamps can carry their stamp's watermark ID: a random
+ * 64-bit value the canister assigns to the stamp and only tells its owner
+ * (getWatermarkId), so it cannot be forged from the public stamp hash, plus a
+ * CRC-16 to reject noise. The 80 payload bits are spread over the image's 8x8
+ * luminance blocks (each block carries one bit, blocks are assigned to bits in
+ * a fixed shuffled order), and every block encodes its bit in the frequency
+ * domain: the difference of two mid-frequency DCT coefficients is pushed to
+ * +STRENGTH for a 1 and -STRENGTH for a 0 (Koch-Zhao). JPEG quantizes those two
+ * coefficients alike, so the sign of the difference survives re-compression;
+ * summing it over every block of a bit outvotes the blocks that lost it.
+ *
+ * The watermark is tied to the 8x8 grid, so it survives re-compression and
+ * metadata stripping but not resizing or cropping. It tells which stamp an image
+ * was exported from, not that the image is unchanged: anyone holding a marked
+ * copy can read the ID and embed it elsewhere.
+ ************************************************************/
+
+const BLOCK_SIZE = 8;
+
+// The two DCT coefficients compared in each block, as [row, column]
+const COEFFICIENT_A = [1, 2];
+const COEFFICIENT_B = [2, 1];
+
+// Coefficient difference enforced per block (well above JPEG's quantization steps at quality 75)
+const STRENGTH = 30;
+
+const ID_BITS = 64;
+const PAYLOAD_BITS = ID_BITS + 16; // ID + CRC-16
+
+// Fewest blocks per payload bit for a watermark to be embedded
+const MIN_BLOCKS_PER_BIT = 4;
+
+// Seed of the block order; changing it makes existing watermarks unreadable
+const BLOCK_ORDER_SEED = 0x5641554c;
+
+// JPEG quality an embedded watermark must survive before the export is accepted
+const PROBE_QUALITY = 0.75;
+
+// Returns true for the image types a watermark can be embedded in (raster images)
+export function canWatermark(fileType) {
+  return fileType.startsWith('image/') && fileType !== 'image/svg+xml';
+}
+
+// Orthonormal 8-point DCT-II basis: BASIS[u][x]
+const BASIS = Array.from({ length: BLOCK_SIZE }, (_, u) =>
+  Array.from({ length: BLOCK_SIZE }, (_, x) =>
+    Math.sqrt((u === 0 ? 1 : 2) / BLOCK_SIZE) * Math.cos(((2 * x + 1) * u * Math.PI) / (2 * BLOCK_SIZE))
+  )
+);
+
+// Per pixel of a block: basis A minus basis B; a block's coefficient difference is its dot product with this
+const PATTERN = Array.from({ length: BLOCK_SIZE * BLOCK_SIZE }, (_, i) => {
+  const y = Math.floor(i / BLOCK_SIZE);
+  const x = i % BLOCK_SIZE;
+  return BASIS[COEFFICIENT_A[0]][y] * BASIS[COEFFICIENT_A[1]][x] - BASIS[COEFFICIENT_B[0]][y] * BASIS[COEFFICIENT_B[1]][x];
+});
+
+// Mulberry32: small seeded PRNG, so every browser derives the same block order
+function seededRandom(seed) {
+  let state = seed >>> 0;
+  return () => {
+    state = (state + 0x6d2b79f5) >>> 0;
+    let t = Math.imul(state ^ (state >>> 15), 1 | state);
+    t ^= t + Math.imul(t ^ (t >>> 7), 61 | t);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+// Payload bit carried by each block (blocks in raster order), from a seeded shuffle
+function blockBits(blockCount) {
+  const order = Array.from({ length: blockCount }, (_, i) => i);
+  const random = seededRandom(BLOCK_ORDER_SEED);
+  for (let i = blockCount - 1; i > 0; i--) {
+    const j = Math.floor(random() * (i + 1));
+    [order[i], order[j]] = [order[j], order[i]];
+  }
+  const bits = new Uint8Array(blockCount);
+  order.forEach((block, position) => { bits[block] = position % PAYLOAD_BITS; });
+  return bits;
+}
+
+// CRC-16/CCITT-FALSE of a 64-bit value's 8 big-endian bytes
+function crc16(value) {
+  let crc = 0xffff;
+  for (let shift = 56n; shift >= 0n; shift -= 8n) {
+    crc ^= Number((value >> shift) & 0xffn) << 8;
+    for (let bit = 0; bit < 8; bit++) crc = crc & 0x8000 ? ((crc << 1) ^ 0x1021) & 0xffff : (crc << 1) & 0xffff;
+  }
+  return crc;
+}
+
+// Decodes an image into a canvas holding its pixels as stored (no orientation or colour conversion)
+async function decodeToCanvas(blob) {
+  const bitmap = await createImageBitmap(blob, { imageOrientation: 'none', colorSpaceConversion: 'none', premultiplyAlpha: 'none' });
+  const canvas = document.createElement('canvas');
+  canvas.width = bitmap.width;
+  canvas.height = bitmap.height;
+  const ctx = canvas.getContext('2d', { willReadFrequently: true });
+  ctx.drawImage(bitmap, 0, 0);
+  bitmap.close();
+  return { canvas, ctx };
+}
+
+// Luminance difference of the two coefficients in the block at (left, top)
+function blockDifference(pixels, width, left, top) {
+  let difference = 0;
+  for (let i = 0; i < BLOCK_SIZE * BLOCK_SIZE; i++) {
+    const p = ((top + Math.floor(i / BLOCK_SIZE)) * width + left + (i % BLOCK_SIZE)) * 4;
+    difference += PATTERN[i] * (0.299 * pixels[p] + 0.587 * pixels[p + 1] + 0.114 * pixels[p + 2]);
+  }
+  return difference;
+}
+
+// Calls visit(left, top, bit) for every whole 8x8 block of a width x height image
+function forEachBlock(width, height, visit) {
+  const columns = Math.floor(width / BLOCK_SIZE);
+  const rows = Math.floor(height / BLOCK_SIZE);
+  const bits = blockBits(columns * rows);
+  for (let block = 0; block < columns * rows; block++) {
+    visit((block % columns) * BLOCK_SIZE, Math.floor(block / columns) * BLOCK_SIZE, bits[block]);
+  }
+}
+
+// Reads the watermark ID from decoded RGBA pixels, or null when the CRC does not match
+function readWatermark(pixels, width, height) {
+  const sums = new Float64Array(PAYLOAD_BITS);
+  forEachBlock(width, height, (left, top, bit) => { sums[bit] += blockDifference(pixels, width, left, top); });
+  if (sums.some(sum => sum === 0)) return null;
+  let payload = 0n;
+  for (const sum of sums) payload = (payload << 1n) | (sum > 0 ? 1n : 0n);
+  const id = payload >> 16n;
+  return crc16(id) === Number(payload & 0xffffn) ? id : null;
+}
+
+const canvasToBlob = (canvas, type, quality) => new Promise((resolve, reject) => {
+  canvas.toBlob(blob => (blob ? resolve(blob) : reject(new Error('The image could not be encoded.'))), type, quality);
+});
+
+/*
+Returns a copy of a raster image with a watermark ID (bigint, from the canister's
+getWatermarkId) embedded. JPEG and WebP images stay in their format (at high
+quality); others are exported as PNG.
+Throws when the image is too small, or when the watermark would not survive JPEG
+re-compression (e.g. images that are mostly flat white or black).
+*/
+export async function embedWatermark(blob, id) {
+  const { canvas, ctx } = await decodeToCanvas(blob);
+  const { width, height } = canvas;
+  if (Math.floor(width / BLOCK_SIZE) * Math.floor(height / BLOCK_SIZE) < PAYLOAD_BITS * MIN_BLOCKS_PER_BIT) {
+    throw new Error('The image is too small to carry a watermark.');
+  }
+
+  const payload = (id << 16n) | BigInt(crc16(id));
+  const image = ctx.getImageData(0, 0, width, height);
+  const pixels = image.data;
+  forEachBlock(width, height, (left, top, bit) => {
+    const sign = (payload >> BigInt(PAYLOAD_BITS - 1 - bit)) & 1n ? 1 : -1;
+    const shortfall = STRENGTH - sign * blockDifference(pixels, width, left, top);
+    if (shortfall <= 0) return;
+    // Adding k * PATTERN moves the difference by 2k (PATTERN's squared norm is 2)
+    for (let i = 0; i < BLOCK_SIZE * BLOCK_SIZE; i++) {
+      const p = ((top + Math.floor(i / BLOCK_SIZE)) * width + left + (i % BLOCK_SIZE)) * 4;
+      const delta = (sign * shortfall * PATTERN[i]) / 2;
+      pixels[p] += delta;
+      pixels[p + 1] += delta;
+      pixels[p + 2] += delta;
+    }
+  });
+  ctx.putImageData(image, 0, 0);
+
+  const type = blob.type === 'image/jpeg' || blob.type === 'image/webp' ? blob.type : 'image/png';
+  const marked = await canvasToBlob(canvas, type, 0.95);
+  if (await extractWatermark(await canvasToBlob(canvas, 'image/jpeg', PROBE_QUALITY)) !== id) {
+    throw new Error('This image has too little texture to carry a robust watermark.');
+  }
+  return marked;
+}
+
+/*
+Reads the watermark ID from an image file, or returns null when the image has
+none (or it was destroyed, e.g. by resizing) or cannot be decoded.
+*/
+export async function extractWatermark(file) {
+  try {
+    const { canvas, ctx } = await decodeToCanvas(file);
+    return readWatermark(ctx.getImageData(0, 0, canvas.width, canvas.height).data, canvas.width, canvas.height);
+  } catch (error) {
+    console.warn('Watermark extraction skipped:', error);
+    return null;
+  }
+}
@@ -4,7 +4,7 @@ import { fileURLToPath, URL } from 'url';
 import environment from 'vite-plugin-environment';
 
 export default defineConfig({
-  base: './',
+  base: '/', // Absolute asset URLs so nested routes such as /verify/:hash load the bundle
   plugins: [react(), environment('all', { prefix: 'CANISTER_' }), environment('all', { prefix: 'DFX_' })],
   envDir: '../',
   define: {
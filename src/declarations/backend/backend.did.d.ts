@@ -2,48 +2,313 @@ import type { Principal } from '@dfinity/principal';
 import type { ActorMethod } from '@dfinity/agent';
 import type { IDL } from '@dfinity/candid';
 
+export interface Alert {
+  'id' : bigint,
+  'kind' : AlertKind,
+  'createdAt' : bigint,
+  'read' : boolean,
+  'stampHash' : string,
+  'payload' : AlertPayload,
+}
+export type AlertKind = { 'transferOffer' : null } |
+  { 'nearDuplicate' : null } |
+  { 'exactDuplicate' : null };
+export interface AlertPayload {
+  'by' : Principal,
+  'hash' : string,
+  'name' : string,
+  'message' : string,
+  'similarity' : bigint,
+}
+export interface AudioFingerprint {
+  'hopMs' : bigint,
+  'frames' : BigUint64Array,
+}
+export type ContentIdentifier = { 'sha256' : null } |
+  { 'svgHash' : null } |
+  { 'pixelHash' : null };
+export interface ContentIdentifiers {
+  'sha256' : string,
+  'svgHash' : [] | [string],
+  'pixelHash' : [] | [string],
+}
+export interface FileCursor {
+  'hash' : string,
+  'name' : string,
+  'size' : bigint,
+  'timestamp' : bigint,
+}
+export interface FilePage {
+  'files' : Array<FileSummary>,
+  'total' : bigint,
+  'nextCursor' : [] | [FileCursor],
+}
+export interface FileQuery {
+  'descending' : boolean,
+  'sortBy' : FileSort,
+  'nameContains' : [] | [string],
+  'cursor' : [] | [FileCursor],
+  'latestRevisionsOnly' : boolean,
+  'fileType' : [] | [string],
+  'limit' : bigint,
+  'toTime' : [] | [bigint],
+  'fromTime' : [] | [bigint],
+}
+export type FileSort = { 'name' : null } |
+  { 'size' : null } |
+  { 'timestamp' : null };
+export interface FileSummary {
+  'previous' : [] | [string],
+  'hash' : string,
+  'name' : string,
+  'size' : bigint,
+  'fileType' : string,
+  'version' : bigint,
+  'claimCount' : bigint,
+  'timestamp' : bigint,
+  'chunkCount' : bigint,
+  'phash' : [] | [bigint],
+}
+export interface Fingerprints {
+  'audio' : [] | [AudioFingerprint],
+  'video' : [] | [VideoFingerprint],
+  'text' : [] | [TextFingerprint],
+  'svgHash' : [] | [string],
+  'image' : [] | [ImageFingerprint],
+  'pixelHash' : [] | [string],
+}
+export type HashAlgorithm = { 'ahash' : null } |
+  { 'phash' : null } |
+  { 'whash' : null } |
+  { 'dhash' : null };
+export interface HashScore {
+  'algorithm' : HashAlgorithm,
+  'similarity' : bigint,
+  'variant' : HashVariant,
+}
+export type HashVariant = { 'original' : null } |
+  { 'mirrored' : null } |
+  { 'grayscale' : null };
+export interface HashVariants {
+  'original' : bigint,
+  'mirrored' : bigint,
+  'grayscale' : bigint,
+}
+export interface ImageFingerprint {
+  'ahash' : HashVariants,
+  'phash' : HashVariants,
+  'whash' : HashVariants,
+  'dhash' : HashVariants,
+}
+export interface Quota { 'stampsPerDay' : bigint, 'totalBytes' : bigint }
+export type QuotaKind = { 'stampsPerDay' : null } |
+  { 'totalBytes' : null };
+export type Result = {
+    'ok' : {
+      'certificate' : [] | [Uint8Array | number[]],
+      'owner' : Principal,
+      'transfers' : Array<Transfer>,
+      'name' : string,
+      'witness' : [] | [Uint8Array | number[]],
+      'fileType' : string,
+      'timestamp' : bigint,
+      'phash' : [] | [bigint],
+    }
+  } |
+  { 'err' : StampError };
+export type Result_1 = { 'ok' : StampReceipt } |
+  { 'err' : StampError };
+export type Result_10 = { 'ok' : Array<SimilarAudio> } |
+  { 'err' : StampError };
+export type Result_2 = { 'ok' : bigint } |
+  { 'err' : StampError };
+export type Result_3 = { 'ok' : null } |
+  { 'err' : string };
+export type Result_4 = { 'ok' : bigint } |
+  { 'err' : string };
+export type Result_5 = { 'ok' : Uint8Array } |
+  { 'err' : string };
+export type Result_6 = { 'ok' : string } |
+  { 'err' : StampError };
+export type Result_7 = {
+    'ok' : { 'matchedBy' : ContentIdentifier, 'stampHash' : string }
+  } |
+  { 'err' : StampError };
+export type Result_8 = { 'ok' : Array<SimilarVideo> } |
+  { 'err' : StampError };
+export type Result_9 = { 'ok' : Array<SimilarDocument> } |
+  { 'err' : StampError };
+export interface SimilarAudio {
+  'owner' : Principal,
+  'overlapMs' : bigint,
+  'hash' : string,
+  'name' : string,
+  'offsetMs' : bigint,
+  'similarity' : bigint,
+  'timestamp' : bigint,
+}
+export interface SimilarDocument {
+  'owner' : Principal,
+  'hash' : string,
+  'name' : string,
+  'minhashSimilarity' : bigint,
+  'similarity' : bigint,
+  'timestamp' : bigint,
+  'simhashSimilarity' : bigint,
+}
+export interface SimilarImage {
+  'owner' : Principal,
+  'hash' : string,
+  'breakdown' : Array<HashScore>,
+  'name' : string,
+  'similarity' : bigint,
+  'timestamp' : bigint,
+  'phash' : bigint,
+}
+export interface SimilarVideo {
+  'owner' : Principal,
+  'hash' : string,
+  'name' : string,
+  'offsetMs' : bigint,
+  'similarity' : bigint,
+  'timestamp' : bigint,
+  'matchedFrames' : bigint,
+}
+export type StampError = { 'invalidFingerprint' : null } |
+  { 'duplicateBySelf' : { 'timestamp' : bigint, 'stampHash' : string } } |
+  { 'duplicateByOther' : { 'timestamp' : bigint, 'stampHash' : string } } |
+  { 'tooLarge' : { 'maxBytes' : bigint } } |
+  { 'notFound' : null } |
+  { 'anonymousCaller' : null } |
+  { 'invalidHash' : null } |
+  { 'quotaExceeded' : { 'quota' : QuotaKind, 'limit' : bigint } } |
+  { 'invalidName' : null } |
+  { 'invalidType' : null } |
+  { 'chunkOutOfOrder' : { 'expected' : bigint } } |
+  { 'notOwner' : null } |
+  { 'uploadIncomplete' : { 'totalSize' : bigint, 'received' : bigint } };
+export interface StampReceipt {
+  'hash' : string,
+  'version' : bigint,
+  'timestamp' : bigint,
+}
+export interface TextFingerprint {
+  'shingleCount' : bigint,
+  'minhash' : Uint32Array,
+  'simhash' : bigint,
+}
+export interface Transfer {
+  'toOwner' : Principal,
+  'timestamp' : bigint,
+  'fromOwner' : Principal,
+}
+export interface TransferOffer {
+  'toOwner' : Principal,
+  'hash' : string,
+  'createdAt' : bigint,
+  'fromOwner' : Principal,
+}
+export interface VideoFingerprint {
+  'intervalMs' : bigint,
+  'frames' : BigUint64Array,
+}
 export interface _SERVICE {
-  'checkFileExists' : ActorMethod<[string], boolean>,
+  'acceptTransfer' : ActorMethod<[string], Result_3>,
+  'beginUpload' : ActorMethod<
+    [string, string, bigint, Fingerprints, [] | [string]],
+    Result_2
+  >,
+  'cancelUpload' : ActorMethod<[bigint], boolean>,
+  'commitUpload' : ActorMethod<[bigint], Result_1>,
+  'declineTransfer' : ActorMethod<[string], Result_3>,
+  'deleteAlert' : ActorMethod<[bigint], boolean>,
   'findFilesWithSimilarPhash' : ActorMethod<
-    [bigint],
-    Array<
-      {
-        'owner' : Principal,
-        'hash' : string,
-        'name' : string,
-        'similarity' : bigint,
-        'phash' : bigint,
-      }
-    >
+    [ImageFingerprint, bigint, bigint],
+    Array<SimilarImage>
+  >,
+  'findSimilarAudio' : ActorMethod<
+    [AudioFingerprint, bigint, bigint],
+    Result_10
+  >,
+  'findSimilarDocuments' : ActorMethod<
+    [TextFingerprint, bigint, bigint],
+    Result_9
+  >,
+  'findSimilarVideos' : ActorMethod<
+    [VideoFingerprint, bigint, bigint],
+    Result_8
+  >,
+  'findStampByContent' : ActorMethod<[ContentIdentifiers], Result_7>,
+  'findStampByWatermark' : ActorMethod<[bigint], Result_6>,
+  'getAlerts' : ActorMethod<
+    [bigint, bigint],
+    { 'total' : bigint, 'alerts' : Array<Alert>, 'unread' : bigint }
   >,
-  'getAlerts' : ActorMethod<[], Array<string>>,
-  'getFiles' : ActorMethod<
+  'getContestedClaims' : ActorMethod<
+    [string],
+    Array<{ 'claimant' : Principal, 'name' : string, 'timestamp' : bigint }>
+  >,
+  'getFileChunk' : ActorMethod<[string, bigint], Result_5>,
+  'getFiles' : ActorMethod<[FileQuery], FilePage>,
+  'getQuotaUsage' : ActorMethod<
     [],
+    {
+      'dayResetsAt' : bigint,
+      'stampsToday' : bigint,
+      'bytesStored' : bigint,
+      'quota' : Quota,
+    }
+  >,
+  'getRevisionHistory' : ActorMethod<
+    [string],
     Array<
       {
         'hash' : string,
         'name' : string,
         'size' : bigint,
         'fileType' : string,
+        'version' : bigint,
         'timestamp' : bigint,
-        'phash' : number,
       }
     >
   >,
-  'sendDummyNotification' : ActorMethod<[], string>,
-  'uploadFile' : ActorMethod<[string, Uint8Array | number[], string], string>,
-  'verifyFileByHash' : ActorMethod<
-    [string],
+  'getTransferOffers' : ActorMethod<
+    [],
+    {
+      'incoming' : Array<{ 'offer' : TransferOffer, 'name' : string }>,
+      'outgoing' : Array<{ 'offer' : TransferOffer, 'name' : string }>,
+    }
+  >,
+  'getUnreadAlertCount' : ActorMethod<[], bigint>,
+  'getUploadSession' : ActorMethod<
+    [bigint],
     [] | [
       {
-        'owner' : Principal,
         'name' : string,
         'fileType' : string,
-        'timestamp' : bigint,
-        'phash' : number,
+        'totalSize' : bigint,
+        'chunkCount' : bigint,
+        'received' : bigint,
       }
     ]
   >,
+  'getWatermarkId' : ActorMethod<[string], Result_4>,
+  'markAlertRead' : ActorMethod<[bigint], boolean>,
+  'markAllAlertsRead' : ActorMethod<[], bigint>,
+  'offerTransfer' : ActorMethod<[string, Principal], Result_3>,
+  'renameStamp' : ActorMethod<[string, string], Result_3>,
+  'setDefaultQuota' : ActorMethod<[Quota], Result_3>,
+  'setQuota' : ActorMethod<[Principal, [] | [Quota]], Result_3>,
+  'stampHash' : ActorMethod<
+    [string, Fingerprints, string, string, bigint, [] | [string]],
+    Result_1
+  >,
+  'uploadChunk' : ActorMethod<[bigint, bigint, Uint8Array | number[]], Result_2>,
+  'uploadFile' : ActorMethod<
+    [string, Uint8Array | number[], string, Fingerprints, [] | [string]],
+    Result_1
+  >,
+  'verifyFileByHash' : ActorMethod<[string], Result>,
 }
 export declare const idlFactory: IDL.InterfaceFactory;
 export declare const init: (args: { IDL: typeof IDL }) => IDL.Type[];
@@ -1,24 +1,321 @@
 export const idlFactory = ({ IDL }) => {
+  const Result_3 = IDL.Variant({ 'ok' : IDL.Null, 'err' : IDL.Text });
+  const AudioFingerprint = IDL.Record({
+    'hopMs' : IDL.Nat,
+    'frames' : IDL.Vec(IDL.Nat64),
+  });
+  const VideoFingerprint = IDL.Record({
+    'intervalMs' : IDL.Nat,
+    'frames' : IDL.Vec(IDL.Nat64),
+  });
+  const TextFingerprint = IDL.Record({
+    'shingleCount' : IDL.Nat,
+    'minhash' : IDL.Vec(IDL.Nat32),
+    'simhash' : IDL.Nat64,
+  });
+  const HashVariants = IDL.Record({
+    'original' : IDL.Nat64,
+    'mirrored' : IDL.Nat64,
+    'grayscale' : IDL.Nat64,
+  });
+  const ImageFingerprint = IDL.Record({
+    'ahash' : HashVariants,
+    'phash' : HashVariants,
+    'whash' : HashVariants,
+    'dhash' : HashVariants,
+  });
+  const Fingerprints = IDL.Record({
+    'audio' : IDL.Opt(AudioFingerprint),
+    'video' : IDL.Opt(VideoFingerprint),
+    'text' : IDL.Opt(TextFingerprint),
+    'svgHash' : IDL.Opt(IDL.Text),
+    'image' : IDL.Opt(ImageFingerprint),
+    'pixelHash' : IDL.Opt(IDL.Text),
+  });
+  const QuotaKind = IDL.Variant({
+    'stampsPerDay' : IDL.Null,
+    'totalBytes' : IDL.Null,
+  });
+  const StampError = IDL.Variant({
+    'invalidFingerprint' : IDL.Null,
+    'duplicateBySelf' : IDL.Record({
+      'timestamp' : IDL.Int,
+      'stampHash' : IDL.Text,
+    }),
+    'duplicateByOther' : IDL.Record({
+      'timestamp' : IDL.Int,
+      'stampHash' : IDL.Text,
+    }),
+    'tooLarge' : IDL.Record({ 'maxBytes' : IDL.Nat }),
+    'notFound' : IDL.Null,
+    'anonymousCaller' : IDL.Null,
+    'invalidHash' : IDL.Null,
+    'quotaExceeded' : IDL.Record({ 'quota' : QuotaKind, 'limit' : IDL.Nat }),
+    'invalidName' : IDL.Null,
+    'invalidType' : IDL.Null,
+    'chunkOutOfOrder' : IDL.Record({ 'expected' : IDL.Nat }),
+    'notOwner' : IDL.Null,
+    'uploadIncomplete' : IDL.Record({
+      'totalSize' : IDL.Nat,
+      'received' : IDL.Nat,
+    }),
+  });
+  const Result_2 = IDL.Variant({ 'ok' : IDL.Nat, 'err' : StampError });
+  const StampReceipt = IDL.Record({
+    'hash' : IDL.Text,
+    'version' : IDL.Nat,
+    'timestamp' : IDL.Int,
+  });
+  const Result_1 = IDL.Variant({ 'ok' : StampReceipt, 'err' : StampError });
+  const HashAlgorithm = IDL.Variant({
+    'ahash' : IDL.Null,
+    'phash' : IDL.Null,
+    'whash' : IDL.Null,
+    'dhash' : IDL.Null,
+  });
+  const HashVariant = IDL.Variant({
+    'original' : IDL.Null,
+    'mirrored' : IDL.Null,
+    'grayscale' : IDL.Null,
+  });
+  const HashScore = IDL.Record({
+    'algorithm' : HashAlgorithm,
+    'similarity' : IDL.Nat,
+    'variant' : HashVariant,
+  });
+  const SimilarImage = IDL.Record({
+    'owner' : IDL.Principal,
+    'hash' : IDL.Text,
+    'breakdown' : IDL.Vec(HashScore),
+    'name' : IDL.Text,
+    'similarity' : IDL.Nat,
+    'timestamp' : IDL.Int,
+    'phash' : IDL.Nat64,
+  });
+  const SimilarAudio = IDL.Record({
+    'owner' : IDL.Principal,
+    'overlapMs' : IDL.Nat,
+    'hash' : IDL.Text,
+    'name' : IDL.Text,
+    'offsetMs' : IDL.Int,
+    'similarity' : IDL.Nat,
+    'timestamp' : IDL.Int,
+  });
+  const Result_10 = IDL.Variant({
+    'ok' : IDL.Vec(SimilarAudio),
+    'err' : StampError,
+  });
+  const SimilarDocument = IDL.Record({
+    'owner' : IDL.Principal,
+    'hash' : IDL.Text,
+    'name' : IDL.Text,
+    'minhashSimilarity' : IDL.Nat,
+    'similarity' : IDL.Nat,
+    'timestamp' : IDL.Int,
+    'simhashSimilarity' : IDL.Nat,
+  });
+  const Result_9 = IDL.Variant({
+    'ok' : IDL.Vec(SimilarDocument),
+    'err' : StampError,
+  });
+  const SimilarVideo = IDL.Record({
+    'owner' : IDL.Principal,
+    'hash' : IDL.Text,
+    'name' : IDL.Text,
+    'offsetMs' : IDL.Int,
+    'similarity' : IDL.Nat,
+    'timestamp' : IDL.Int,
+    'matchedFrames' : IDL.Nat,
+  });
+  const Result_8 = IDL.Variant({
+    'ok' : IDL.Vec(SimilarVideo),
+    'err' : StampError,
+  });
+  const ContentIdentifiers = IDL.Record({
+    'sha256' : IDL.Text,
+    'svgHash' : IDL.Opt(IDL.Text),
+    'pixelHash' : IDL.Opt(IDL.Text),
+  });
+  const ContentIdentifier = IDL.Variant({
+    'sha256' : IDL.Null,
+    'svgHash' : IDL.Null,
+    'pixelHash' : IDL.Null,
+  });
+  const Result_7 = IDL.Variant({
+    'ok' : IDL.Record({
+      'matchedBy' : ContentIdentifier,
+      'stampHash' : IDL.Text,
+    }),
+    'err' : StampError,
+  });
+  const Result_6 = IDL.Variant({ 'ok' : IDL.Text, 'err' : StampError });
+  const AlertKind = IDL.Variant({
+    'transferOffer' : IDL.Null,
+    'nearDuplicate' : IDL.Null,
+    'exactDuplicate' : IDL.Null,
+  });
+  const AlertPayload = IDL.Record({
+    'by' : IDL.Principal,
+    'hash' : IDL.Text,
+    'name' : IDL.Text,
+    'message' : IDL.Text,
+    'similarity' : IDL.Nat,
+  });
+  const Alert = IDL.Record({
+    'id' : IDL.Nat,
+    'kind' : AlertKind,
+    'createdAt' : IDL.Int,
+    'read' : IDL.Bool,
+    'stampHash' : IDL.Text,
+    'payload' : AlertPayload,
+  });
+  const Result_5 = IDL.Variant({ 'ok' : IDL.Vec(IDL.Nat8), 'err' : IDL.Text });
+  const FileSort = IDL.Variant({
+    'name' : IDL.Null,
+    'size' : IDL.Null,
+    'timestamp' : IDL.Null,
+  });
+  const FileCursor = IDL.Record({
+    'hash' : IDL.Text,
+    'name' : IDL.Text,
+    'size' : IDL.Nat,
+    'timestamp' : IDL.Int,
+  });
+  const FileQuery = IDL.Record({
+    'descending' : IDL.Bool,
+    'sortBy' : FileSort,
+    'nameContains' : IDL.Opt(IDL.Text),
+    'cursor' : IDL.Opt(FileCursor),
+    'latestRevisionsOnly' : IDL.Bool,
+    'fileType' : IDL.Opt(IDL.Text),
+    'limit' : IDL.Nat,
+    'toTime' : IDL.Opt(IDL.Int),
+    'fromTime' : IDL.Opt(IDL.Int),
+  });
+  const FileSummary = IDL.Record({
+    'previous' : IDL.Opt(IDL.Text),
+    'hash' : IDL.Text,
+    'name' : IDL.Text,
+    'size' : IDL.Nat,
+    'fileType' : IDL.Text,
+    'version' : IDL.Nat,
+    'claimCount' : IDL.Nat,
+    'timestamp' : IDL.Int,
+    'chunkCount' : IDL.Nat,
+    'phash' : IDL.Opt(IDL.Nat64),
+  });
+  const FilePage = IDL.Record({
+    'files' : IDL.Vec(FileSummary),
+    'total' : IDL.Nat,
+    'nextCursor' : IDL.Opt(FileCursor),
+  });
+  const Quota = IDL.Record({
+    'stampsPerDay' : IDL.Nat,
+    'totalBytes' : IDL.Nat,
+  });
+  const TransferOffer = IDL.Record({
+    'toOwner' : IDL.Principal,
+    'hash' : IDL.Text,
+    'createdAt' : IDL.Int,
+    'fromOwner' : IDL.Principal,
+  });
+  const Result_4 = IDL.Variant({ 'ok' : IDL.Nat64, 'err' : IDL.Text });
+  const Transfer = IDL.Record({
+    'toOwner' : IDL.Principal,
+    'timestamp' : IDL.Int,
+    'fromOwner' : IDL.Principal,
+  });
+  const Result = IDL.Variant({
+    'ok' : IDL.Record({
+      'certificate' : IDL.Opt(IDL.Vec(IDL.Nat8)),
+      'owner' : IDL.Principal,
+      'transfers' : IDL.Vec(Transfer),
+      'name' : IDL.Text,
+      'witness' : IDL.Opt(IDL.Vec(IDL.Nat8)),
+      'fileType' : IDL.Text,
+      'timestamp' : IDL.Int,
+      'phash' : IDL.Opt(IDL.Nat64),
+    }),
+    'err' : StampError,
+  });
+  
   return IDL.Service({
-    'checkFileExists' : IDL.Func([IDL.Text], [IDL.Bool], []),
+    'acceptTransfer' : IDL.Func([IDL.Text], [Result_3], []),
+    'beginUpload' : IDL.Func(
+        [IDL.Text, IDL.Text, IDL.Nat, Fingerprints, IDL.Opt(IDL.Text)],
+        [Result_2],
+        [],
+      ),
+    'cancelUpload' : IDL.Func([IDL.Nat], [IDL.Bool], []),
+    'commitUpload' : IDL.Func([IDL.Nat], [Result_1], []),
+    'declineTransfer' : IDL.Func([IDL.Text], [Result_3], []),
+    'deleteAlert' : IDL.Func([IDL.Nat], [IDL.Bool], []),
     'findFilesWithSimilarPhash' : IDL.Func(
-        [IDL.Nat64],
+        [ImageFingerprint, IDL.Nat, IDL.Nat],
+        [IDL.Vec(SimilarImage)],
+        ['query'],
+      ),
+    'findSimilarAudio' : IDL.Func(
+        [AudioFingerprint, IDL.Nat, IDL.Nat],
+        [Result_10],
+        ['query'],
+      ),
+    'findSimilarDocuments' : IDL.Func(
+        [TextFingerprint, IDL.Nat, IDL.Nat],
+        [Result_9],
+        ['query'],
+      ),
+    'findSimilarVideos' : IDL.Func(
+        [VideoFingerprint, IDL.Nat, IDL.Nat],
+        [Result_8],
+        ['query'],
+      ),
+    'findStampByContent' : IDL.Func(
+        [ContentIdentifiers],
+        [Result_7],
+        ['query'],
+      ),
+    'findStampByWatermark' : IDL.Func([IDL.Nat64], [Result_6], ['query']),
+    'getAlerts' : IDL.Func(
+        [IDL.Nat, IDL.Nat],
+        [
+          IDL.Record({
+            'total' : IDL.Nat,
+            'alerts' : IDL.Vec(Alert),
+            'unread' : IDL.Nat,
+          }),
+        ],
+        ['query'],
+      ),
+    'getContestedClaims' : IDL.Func(
+        [IDL.Text],
         [
           IDL.Vec(
             IDL.Record({
-              'owner' : IDL.Principal,
-              'hash' : IDL.Text,
+              'claimant' : IDL.Principal,
               'name' : IDL.Text,
-              'similarity' : IDL.Nat,
-              'phash' : IDL.Nat64,
+              'timestamp' : IDL.Int,
             })
           ),
         ],
-        [],
+        ['query'],
       ),
-    'getAlerts' : IDL.Func([], [IDL.Vec(IDL.Text)], []),
-    'getFiles' : IDL.Func(
+    'getFileChunk' : IDL.Func([IDL.Text, IDL.Nat], [Result_5], ['query']),
+    'getFiles' : IDL.Func([FileQuery], [FilePage], ['query']),
+    'getQuotaUsage' : IDL.Func(
         [],
+        [
+          IDL.Record({
+            'dayResetsAt' : IDL.Int,
+            'stampsToday' : IDL.Nat,
+            'bytesStored' : IDL.Nat,
+            'quota' : Quota,
+          }),
+        ],
+        ['query'],
+      ),
+    'getRevisionHistory' : IDL.Func(
+        [IDL.Text],
         [
           IDL.Vec(
             IDL.Record({
@@ -26,34 +323,79 @@ export const idlFactory = ({ IDL }) => {
               'name' : IDL.Text,
               'size' : IDL.Nat,
               'fileType' : IDL.Text,
+              'version' : IDL.Nat,
               'timestamp' : IDL.Int,
-              'phash' : IDL.Nat32,
             })
           ),
         ],
-        [],
+        ['query'],
       ),
-    'sendDummyNotification' : IDL.Func([], [IDL.Text], []),
-    'uploadFile' : IDL.Func(
-        [IDL.Text, IDL.Vec(IDL.Nat8), IDL.Text],
-        [IDL.Text],
+    'getTransferOffers' : IDL.Func(
         [],
+        [
+          IDL.Record({
+            'incoming' : IDL.Vec(
+              IDL.Record({ 'offer' : TransferOffer, 'name' : IDL.Text })
+            ),
+            'outgoing' : IDL.Vec(
+              IDL.Record({ 'offer' : TransferOffer, 'name' : IDL.Text })
+            ),
+          }),
+        ],
+        ['query'],
       ),
-    'verifyFileByHash' : IDL.Func(
-        [IDL.Text],
+    'getUnreadAlertCount' : IDL.Func([], [IDL.Nat], ['query']),
+    'getUploadSession' : IDL.Func(
+        [IDL.Nat],
         [
           IDL.Opt(
             IDL.Record({
-              'owner' : IDL.Principal,
               'name' : IDL.Text,
               'fileType' : IDL.Text,
-              'timestamp' : IDL.Int,
-              'phash' : IDL.Nat32,
+              'totalSize' : IDL.Nat,
+              'chunkCount' : IDL.Nat,
+              'received' : IDL.Nat,
             })
           ),
         ],
+        ['query'],
+      ),
+    'getWatermarkId' : IDL.Func([IDL.Text], [Result_4], []),
+    'markAlertRead' : IDL.Func([IDL.Nat], [IDL.Bool], []),
+    'markAllAlertsRead' : IDL.Func([], [IDL.Nat], []),
+    'offerTransfer' : IDL.Func([IDL.Text, IDL.Principal], [Result_3], []),
+    'renameStamp' : IDL.Func([IDL.Text, IDL.Text], [Result_3], []),
+    'setDefaultQuota' : IDL.Func([Quota], [Result_3], []),
+    'setQuota' : IDL.Func([IDL.Principal, IDL.Opt(Quota)], [Result_3], []),
+    'stampHash' : IDL.Func(
+        [
+          IDL.Text,
+          Fingerprints,
+          IDL.Text,
+          IDL.Text,
+          IDL.Nat,
+          IDL.Opt(IDL.Text),
+        ],
+        [Result_1],
+        [],
+      ),
+    'uploadChunk' : IDL.Func(
+        [IDL.Nat, IDL.Nat, IDL.Vec(IDL.Nat8)],
+        [Result_2],
+        [],
+      ),
+    'uploadFile' : IDL.Func(
+        [
+          IDL.Text,
+          IDL.Vec(IDL.Nat8),
+          IDL.Text,
+          Fingerprints,
+          IDL.Opt(IDL.Text),
+        ],
+        [Result_1],
         [],
       ),
+    'verifyFileByHash' : IDL.Func([IDL.Text], [Result], ['query']),
   });
 };
 export const init = ({ IDL }) => { return []; };